@@ -1,5 +1,5 @@
 // ===== BLOCKCHAIN INTEGRATION =====
-const { Blockchain, Wallet, MerkleTree, MINING_REWARD } = window.FlowPayBlockchain;
+const { Blockchain, Wallet, MerkleTree, getBlockSubsidy, formatAmount, parseAmount } = window.FlowPayBlockchain;
 
 let blockchain, mainWallet, contactWallets = {};
 let isMining = false;
@@ -36,8 +36,8 @@ const CONTACTS = [
 let onChainTxLog = [];
 
 let PENDING_REQUESTS = [
-    { id: 1, contactId: 2, amount: 75.00, note: 'Basketball tickets', type: 'incoming' },
-    { id: 2, contactId: 7, amount: 28.50, note: 'Dry cleaning', type: 'incoming' },
+    { id: 1, contactId: 2, amount: parseAmount('75.00'), note: 'Basketball tickets', type: 'incoming' },
+    { id: 2, contactId: 7, amount: parseAmount('28.50'), note: 'Dry cleaning', type: 'incoming' },
 ];
 
 const APP_STATE = {
@@ -48,7 +48,7 @@ const APP_STATE = {
 
 // ===== INITIALIZE BLOCKCHAIN =====
 function initBlockchain() {
-    blockchain = new Blockchain(4); // difficulty 4 = 4 leading hex zeros
+    blockchain = new Blockchain(); // compact target ≈ 4 leading hex zeros, retargets from there
 
     // Create main user wallet
     mainWallet = new Wallet('Devon M.', blockchain);
@@ -69,6 +69,16 @@ function initBlockchain() {
     blockchain.onMempoolUpdate = (mempool) => {
         renderChainStats();
     };
+    blockchain.onReorg = (event) => {
+        // Payments from the abandoned branch are unconfirmed again
+        onChainTxLog.forEach(t => {
+            if (event.restoredTxs.includes(t.txHash)) t.confirmed = false;
+        });
+        updateBalanceDisplay();
+        renderRecentTransactions();
+        renderChainStats();
+        renderBlockPreviews();
+    };
 
     // Pre-mine a few blocks with simulated history
     seedHistoricalTransactions();
@@ -81,17 +91,17 @@ function initBlockchain() {
 
 function seedHistoricalTransactions() {
     const historicalTxs = [
-        { from: 'main', to: 1, amount: 45, note: 'Dinner split 🍣', dir: 'sent' },
-        { from: 'main', to: 3, amount: 22.50, note: 'Coffee run ☕', dir: 'sent' },
-        { from: 'main', to: 4, amount: 50, note: 'Birthday gift 🎁', dir: 'sent' },
+        { from: 'main', to: 1, amount: parseAmount('45'), note: 'Dinner split 🍣', dir: 'sent' },
+        { from: 'main', to: 3, amount: parseAmount('22.50'), note: 'Coffee run ☕', dir: 'sent' },
+        { from: 'main', to: 4, amount: parseAmount('50'), note: 'Birthday gift 🎁', dir: 'sent' },
     ];
 
-    // Send from main wallet to contacts and mine block
+    // Send from main wallet to contacts and mine block — each payment
+    // spends the unconfirmed change of the one before
     historicalTxs.forEach(h => {
         const recipientWallet = contactWallets[h.to];
         try {
             const tx = mainWallet.sendTo(recipientWallet.address, h.amount);
-            const contact = getContact(h.to);
             onChainTxLog.push({
                 txHash: tx.hash,
                 contactId: h.to,
@@ -105,23 +115,23 @@ function seedHistoricalTransactions() {
     });
 
     // Mine block with all historical txs
-    if (blockchain.mempool.length > 0) {
+    if (blockchain.mempool.size > 0) {
         blockchain.mineBlock(mainWallet.address);
         onChainTxLog.forEach(t => t.confirmed = true);
     }
 
     // Simulate some received payments (contacts send back to main)
     const receivedTxs = [
-        { from: 1, amount: 30, note: 'Lunch payback 🍔' },
-        { from: 5, amount: 120, note: 'Concert tickets 🎵' },
-        { from: 8, amount: 18.75, note: 'Lunch 🍔' },
+        { from: 1, amount: parseAmount('30'), note: 'Lunch payback 🍔' },
+        { from: 5, amount: parseAmount('120'), note: 'Concert tickets 🎵' },
+        { from: 8, amount: parseAmount('18.75'), note: 'Lunch 🍔' },
     ];
 
     receivedTxs.forEach(r => {
         const senderWallet = contactWallets[r.from];
         // Fund the contact first via a mined block
         try {
-            const fundTx = mainWallet.sendTo(senderWallet.address, r.amount + 10);
+            const fundTx = mainWallet.sendTo(senderWallet.address, r.amount + parseAmount('10'));
             blockchain.mineBlock(mainWallet.address);
             // Now the contact sends back to main
             const tx = senderWallet.sendTo(mainWallet.address, r.amount);
@@ -154,11 +164,12 @@ function getContactByAddress(address) {
     return null;
 }
 
-function formatFPC(amount) {
+// Amounts are integer base units everywhere else; FPC only appears on screen
+function formatFPC(units) {
     return new Intl.NumberFormat('en-US', {
         minimumFractionDigits: 0,
-        maximumFractionDigits: 2,
-    }).format(amount);
+        maximumFractionDigits: 8,
+    }).format(Number(formatAmount(units)));
 }
 
 function formatTime(timestamp) {
@@ -286,12 +297,13 @@ function renderBlocksInActivity(container) {
 
 function renderBlockCard(block) {
     const timeStr = formatTime(block.timestamp);
+    const fees = blockchain.getBlockFees(block).total;
     return `
         <div class="block-card" data-height="${block.height}">
             <div class="block-card-icon">#${block.height}</div>
             <div class="block-card-info">
                 <div class="block-card-hash">${truncateHash(block.hash, 12)}</div>
-                <div class="block-card-meta">Nonce: ${block.nonce.toLocaleString()} · ${block.miningTime}ms</div>
+                <div class="block-card-meta">Nonce: ${block.nonce.toLocaleString()} · ${block.miningTime}ms · Fees: ${formatFPC(fees)} FPC</div>
             </div>
             <div class="block-card-right">
                 <div class="block-card-txcount">${block.transactions.length} tx${block.transactions.length !== 1 ? 's' : ''}</div>
@@ -314,7 +326,7 @@ function renderChainStats() {
     document.getElementById('stat-hashrate').textContent = stats.hashRate > 1000
         ? (stats.hashRate / 1000).toFixed(1) + 'K'
         : stats.hashRate;
-    document.getElementById('stat-difficulty').textContent = stats.difficulty;
+    document.getElementById('stat-difficulty').textContent = stats.difficulty.toFixed(2);
 }
 
 function setMiningState(mining) {
@@ -454,7 +466,8 @@ function selectContact(contactId) {
 
 function processPayment() {
     const amountStr = document.getElementById('amount-input').value.replace(/[^0-9.]/g, '');
-    const amount = parseFloat(amountStr);
+    let amount = 0;
+    try { amount = parseAmount(amountStr); } catch (e) { /* falls through to the check below */ }
     const note = document.getElementById('note-input').value || 'Payment';
     const contact = APP_STATE.selectedContact;
     if (!amount || amount <= 0 || !contact) { showToast('Enter a valid amount', 'error'); return; }
@@ -602,12 +615,12 @@ function appInit() {
         // Mine a block to earn mining reward
         setMiningState(true);
         setTimeout(() => {
-            blockchain.mineBlock(mainWallet.address);
+            const block = blockchain.mineBlock(mainWallet.address);
             setMiningState(false);
             updateBalanceDisplay();
             renderChainStats();
             renderBlockPreviews();
-            showToast(`Mined block! +${MINING_REWARD} FPC mining reward ⛏️`);
+            showToast(`Mined block! +${formatFPC(getBlockSubsidy(block.height))} FPC mining reward ⛏️`);
         }, 50);
     });
     document.getElementById('cash-out-btn').addEventListener('click', () => showToast('Cash out to linked account'));
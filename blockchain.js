@@ -10,6 +10,9 @@
  * §8  SPV — Merkle proofs
  * §9  Combining/Splitting Value — multi-input/output
  * §10 Privacy — address derivation from public keys
+ *
+ * Transactions and block headers hash over a canonical binary encoding
+ * (see "Serialization"), which is also the raw hex form on the wire.
  */
 
 // ============================================================
@@ -67,52 +70,234 @@ function sha256(message) {
         .map(v => (v >>> 0).toString(16).padStart(8, '0')).join('');
 }
 
+// Double SHA-256 over raw bytes — txids, block hashes, Merkle nodes
+function hash256(bytes) {
+    return sha256(hexToBytes(sha256(bytes)));
+}
+
 // ============================================================
 // §10: Key Pair & Address — Privacy via derived addresses
 // ============================================================
-// NOTE: Real Bitcoin uses ECDSA secp256k1. This demo uses
-// SHA-256-derived keys in a single-runtime environment.
-// The FLOW is identical: privateKey → publicKey → address.
+// ECDSA over secp256k1, the same curve Bitcoin uses, written
+// against BigInt so it runs unchanged in Node and the browser.
+// The FLOW: privateKey (scalar) → publicKey (curve point) → address.
+// Anyone can check a signature with nothing but the public key.
+
+const SECP256K1 = {
+    p: 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn,
+    n: 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n,
+    gx: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    gy: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n
+};
+
+function hexToBytes(hex) {
+    const bytes = new Uint8Array(hex.length / 2);
+    for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+    return bytes;
+}
+
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function concatBytes(...arrays) {
+    const out = new Uint8Array(arrays.reduce((s, a) => s + a.length, 0));
+    let off = 0;
+    for (const a of arrays) { out.set(a, off); off += a.length; }
+    return out;
+}
+
+const toHex256 = (n) => n.toString(16).padStart(64, '0');
+const isHex = (str, len) => typeof str === 'string' && str.length === len && /^[0-9a-f]*$/.test(str);
+
+function mod(a, m = SECP256K1.p) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+function modPow(base, exp, m) {
+    let result = 1n;
+    base = mod(base, m);
+    while (exp > 0n) {
+        if (exp & 1n) result = (result * base) % m;
+        base = (base * base) % m;
+        exp >>= 1n;
+    }
+    return result;
+}
+
+function modInv(a, m = SECP256K1.p) {
+    let [lo, hi, x0, x1] = [mod(a, m), m, 1n, 0n];
+    while (lo > 1n) {
+        const q = hi / lo;
+        [lo, hi] = [hi - q * lo, lo];
+        [x0, x1] = [x1 - q * x0, x0];
+    }
+    return mod(x0, m);
+}
+
+// Points in Jacobian coordinates (X/Z², Y/Z³) — avoids a modular
+// inverse on every addition. z === 0n is the point at infinity.
+const POINT_INFINITY = { x: 0n, y: 1n, z: 0n };
+const POINT_G = { x: SECP256K1.gx, y: SECP256K1.gy, z: 1n };
+
+function pointDouble(P) {
+    if (P.z === 0n || P.y === 0n) return POINT_INFINITY;
+    const yy = mod(P.y * P.y);
+    const s = mod(4n * P.x * yy);
+    const m = mod(3n * P.x * P.x); // curve a = 0
+    const x = mod(m * m - 2n * s);
+    const y = mod(m * (s - x) - 8n * yy * yy);
+    return { x, y, z: mod(2n * P.y * P.z) };
+}
+
+function pointAdd(P, Q) {
+    if (P.z === 0n) return Q;
+    if (Q.z === 0n) return P;
+    const pz2 = mod(P.z * P.z), qz2 = mod(Q.z * Q.z);
+    const u1 = mod(P.x * qz2), u2 = mod(Q.x * pz2);
+    const s1 = mod(P.y * Q.z * qz2), s2 = mod(Q.y * P.z * pz2);
+    if (u1 === u2) return s1 === s2 ? pointDouble(P) : POINT_INFINITY;
+    const h = mod(u2 - u1), r = mod(s2 - s1);
+    const hh = mod(h * h), hhh = mod(hh * h), v = mod(u1 * hh);
+    const x = mod(r * r - hhh - 2n * v);
+    const y = mod(r * (v - x) - s1 * hhh);
+    return { x, y, z: mod(h * P.z * Q.z) };
+}
+
+function pointMultiply(P, k) {
+    let result = POINT_INFINITY;
+    let addend = P;
+    while (k > 0n) {
+        if (k & 1n) result = pointAdd(result, addend);
+        addend = pointDouble(addend);
+        k >>= 1n;
+    }
+    return result;
+}
+
+function toAffine(P) {
+    if (P.z === 0n) return null;
+    const zInv = modInv(P.z);
+    const zInv2 = mod(zInv * zInv);
+    return { x: mod(P.x * zInv2), y: mod(P.y * zInv2 * zInv) };
+}
+
+// Compressed SEC encoding: 02/03 (parity of y) + 32-byte x
+function encodePoint(P) {
+    const { x, y } = toAffine(P);
+    return (y & 1n ? '03' : '02') + toHex256(x);
+}
 
-const WALLET_REGISTRY = new Map(); // publicKey → wallet (demo only)
+function decodePoint(hex) {
+    if (typeof hex !== 'string' || hex.length !== 66 || !/^0[23][0-9a-f]{64}$/.test(hex)) return null;
+    const { p } = SECP256K1;
+    const x = BigInt('0x' + hex.slice(2));
+    if (x >= p) return null;
+    const ySquared = mod(x * x * x + 7n);
+    let y = modPow(ySquared, (p + 1n) / 4n, p);
+    if (mod(y * y) !== ySquared) return null; // x not on the curve
+    if ((y & 1n) !== BigInt(hex[1] === '3')) y = p - y;
+    return { x, y, z: 1n };
+}
+
+function hmacSha256(key, message) {
+    if (key.length > 64) key = hexToBytes(sha256(key));
+    const block = new Uint8Array(64);
+    block.set(key);
+    const inner = hexToBytes(sha256(concatBytes(block.map(b => b ^ 0x36), message)));
+    return hexToBytes(sha256(concatBytes(block.map(b => b ^ 0x5c), inner)));
+}
+
+// RFC 6979 deterministic nonce — no RNG needed at signing time, and
+// a weak RNG can never leak the private key through a repeated k.
+function* deterministicNonces(d, e) {
+    const x = hexToBytes(toHex256(d));
+    const h = hexToBytes(toHex256(mod(e, SECP256K1.n)));
+    let k = new Uint8Array(32);
+    let v = new Uint8Array(32).fill(1);
+    k = hmacSha256(k, concatBytes(v, [0], x, h));
+    v = hmacSha256(k, v);
+    k = hmacSha256(k, concatBytes(v, [1], x, h));
+    v = hmacSha256(k, v);
+    while (true) {
+        v = hmacSha256(k, v);
+        const candidate = BigInt('0x' + bytesToHex(v));
+        if (candidate > 0n && candidate < SECP256K1.n) yield candidate;
+        k = hmacSha256(k, concatBytes(v, [0]));
+        v = hmacSha256(k, v);
+    }
+}
 
 function generatePrivateKey() {
     const arr = new Uint8Array(32);
-    crypto.getRandomValues(arr);
-    return Array.from(arr).map(b => b.toString(16).padStart(2, '0')).join('');
+    let d;
+    do {
+        crypto.getRandomValues(arr);
+        d = BigInt('0x' + bytesToHex(arr));
+    } while (d === 0n || d >= SECP256K1.n);
+    return bytesToHex(arr);
 }
 
 function derivePublicKey(privateKey) {
-    return sha256(privateKey);
+    return encodePoint(pointMultiply(POINT_G, BigInt('0x' + privateKey)));
 }
 
 function deriveAddress(publicKey) {
     return sha256(publicKey).substring(0, 40);
 }
 
+// Signature: 64-byte r‖s hex over SHA-256(data), normalized to low-s
+// so a third party cannot flip it into a second valid signature.
 function signData(data, privateKey) {
-    return sha256(data + privateKey);
+    const { n } = SECP256K1;
+    const d = BigInt('0x' + privateKey);
+    const e = BigInt('0x' + sha256(data));
+    for (const k of deterministicNonces(d, e)) {
+        const r = mod(toAffine(pointMultiply(POINT_G, k)).x, n);
+        if (r === 0n) continue;
+        let s = mod(modInv(k, n) * (e + r * d), n);
+        if (s === 0n) continue;
+        if (s > n / 2n) s = n - s;
+        return toHex256(r) + toHex256(s);
+    }
 }
 
 function verifySignature(data, signature, publicKey) {
-    const wallet = WALLET_REGISTRY.get(publicKey);
-    if (!wallet) return false;
-    return sha256(data + wallet.privateKey) === signature;
+    const { n } = SECP256K1;
+    if (!isHex(signature, 128)) return false;
+    const Q = decodePoint(publicKey);
+    if (!Q) return false;
+    const r = BigInt('0x' + signature.slice(0, 64));
+    const s = BigInt('0x' + signature.slice(64));
+    if (r === 0n || r >= n || s === 0n || s > n / 2n) return false;
+    const e = BigInt('0x' + sha256(data));
+    const w = modInv(s, n);
+    const X = toAffine(pointAdd(
+        pointMultiply(POINT_G, mod(e * w, n)),
+        pointMultiply(Q, mod(r * w, n))
+    ));
+    return X !== null && mod(X.x, n) === r;
 }
 
 // ============================================================
 // §7: Merkle Tree — Efficient transaction summaries
 // ============================================================
 class MerkleTree {
+    // Parent node: double SHA-256 of the two 32-byte children
+    static hashPair(left, right) {
+        return hash256(hexToBytes(left + right));
+    }
+
     static computeRoot(hashes) {
-        if (hashes.length === 0) return sha256('');
+        if (hashes.length === 0) return hash256(new Uint8Array(0));
         let level = [...hashes];
         while (level.length > 1) {
             const next = [];
             for (let i = 0; i < level.length; i += 2) {
                 const left = level[i];
                 const right = level[i + 1] || level[i]; // duplicate if odd
-                next.push(sha256(left + right));
+                next.push(MerkleTree.hashPair(left, right));
             }
             level = next;
         }
@@ -130,7 +315,7 @@ class MerkleTree {
             for (let i = 0; i < level.length; i += 2) {
                 const left = level[i];
                 const right = level[i + 1] || level[i];
-                next.push(sha256(left + right));
+                next.push(MerkleTree.hashPair(left, right));
                 if (i === idx - (idx % 2)) {
                     if (idx % 2 === 0) {
                         proof.push({ hash: right, position: 'right' });
@@ -150,69 +335,384 @@ class MerkleTree {
         let hash = txHash;
         for (const step of proof) {
             hash = step.position === 'right'
-                ? sha256(hash + step.hash)
-                : sha256(step.hash + hash);
+                ? MerkleTree.hashPair(hash, step.hash)
+                : MerkleTree.hashPair(step.hash, hash);
         }
         return hash === root;
     }
 }
 
+// ============================================================
+// Amounts — integer base units, 1 FPC = COIN units (like satoshis)
+// ============================================================
+const COIN = 100000000;
+const COIN_DECIMALS = 8;
+const MAX_SUPPLY = 21000000 * COIN; // hard cap including the genesis allocation
+// 1,000,000 genesis + 50 × 200,000 × (1 + ½ + ¼ + …) → just under 21,000,000 FPC
+
+// Every amount on chain is a whole number of units within the supply
+function isValidAmount(amount) {
+    return Number.isSafeInteger(amount) && amount >= 0 && amount <= MAX_SUPPLY;
+}
+
+// Exact sum via BigInt; NaN if it leaves the money range, so a total
+// can never silently lose precision past 2^53
+function sumAmounts(amounts) {
+    const total = amounts.reduce((sum, a) => sum + BigInt(a), 0n);
+    return total <= BigInt(MAX_SUPPLY) ? Number(total) : NaN;
+}
+
+// Units → "12.5" — for display only, never for arithmetic
+function formatAmount(units) {
+    const value = BigInt(units);
+    const abs = value < 0n ? -value : value;
+    const whole = abs / BigInt(COIN);
+    const frac = (abs % BigInt(COIN)).toString().padStart(COIN_DECIMALS, '0').replace(/0+$/, '');
+    return `${value < 0n ? '-' : ''}${whole}${frac ? '.' + frac : ''}`;
+}
+
+// "12.5" → units; throws on anything that is not a plain decimal FPC amount
+function parseAmount(str) {
+    const match = /^(\d+)(?:\.(\d*))?$/.exec(String(str).trim());
+    if (!match || (match[2] || '').length > COIN_DECIMALS) throw new Error(`Invalid amount: ${str}`);
+    const units = BigInt(match[1]) * BigInt(COIN) + BigInt((match[2] || '').padEnd(COIN_DECIMALS, '0'));
+    if (units > BigInt(MAX_SUPPLY)) throw new Error(`Amount out of range: ${str}`);
+    return Number(units);
+}
+
+// ============================================================
+// Serialization — canonical, versioned binary encoding
+// ============================================================
+// Ids and the wire use these bytes, never JSON, so a transaction or
+// header encodes identically in every implementation. Integers are
+// little-endian, counts and lengths are CompactSize varints (as in
+// Bitcoin), and hashes, addresses, keys and signatures are raw bytes.
+//
+//   tx:     version u32 | n in | (prevHash[32] index u32 script sequence u32)*
+//           | n out | (amount u64 address[20])* | timestamp u64 | n sig | sig[64]*
+//   header: version u32 | height u32 | prevHash[32] | merkleRoot[32]
+//           | timestamp u64 | bits u32 | nonce u32
+//   block:  header | n tx | tx*
+//
+// An input's script is its public key, or for a coinbase free-form
+// UTF-8 text. The txid covers everything but the signatures; the merkle
+// root is over the whole encoding (Transaction.merkleHash), so the block
+// hash covers them too.
+const TX_VERSION = 1;
+const BLOCK_VERSION = 1;
+const SEQUENCE_FINAL = 0xffffffff;
+const SEQUENCE_RBF = SEQUENCE_FINAL - 2; // any input at or below this opts in to replace-by-fee
+const NULL_HASH = '0'.repeat(64);
+const HEADER_SIZE = 88;
+const NONCE_OFFSET = HEADER_SIZE - 4;
+
+// A coinbase spends the null outpoint and nothing else
+function isNullPrevout(inputs) {
+    return Array.isArray(inputs) && inputs.length === 1 && inputs[0]?.txHash === NULL_HASH;
+}
+
+class ByteWriter {
+    constructor() {
+        this.chunks = [];
+    }
+
+    bytes(arr) {
+        this.chunks.push(arr);
+        return this;
+    }
+
+    u8(v) {
+        return this.bytes(Uint8Array.of(v));
+    }
+
+    u32(v) {
+        if (!Number.isInteger(v) || v < 0 || v > 0xffffffff) throw new RangeError(`not a u32: ${v}`);
+        const b = new Uint8Array(4);
+        new DataView(b.buffer).setUint32(0, v, true);
+        return this.bytes(b);
+    }
+
+    u64(v) {
+        if (!Number.isSafeInteger(v) || v < 0) throw new RangeError(`not a u64: ${v}`);
+        const b = new Uint8Array(8);
+        new DataView(b.buffer).setBigUint64(0, BigInt(v), true);
+        return this.bytes(b);
+    }
+
+    varint(v) {
+        if (v < 0xfd) return this.u8(v);
+        if (v <= 0xffff) {
+            const b = new Uint8Array(3);
+            b[0] = 0xfd;
+            new DataView(b.buffer).setUint16(1, v, true);
+            return this.bytes(b);
+        }
+        if (v <= 0xffffffff) return this.u8(0xfe).u32(v);
+        return this.u8(0xff).u64(v);
+    }
+
+    // Fixed-width hex field, e.g. a 32-byte hash
+    hex(str, size) {
+        if (!isHex(str, size * 2)) throw new TypeError(`expected ${size} bytes of hex`);
+        return this.bytes(hexToBytes(str));
+    }
+
+    varBytes(arr) {
+        return this.varint(arr.length).bytes(arr);
+    }
+
+    toBytes() {
+        return concatBytes(...this.chunks);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.buf = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    static fromHex(hex) {
+        if (typeof hex !== 'string' || !/^([0-9a-f]{2})*$/.test(hex)) throw new TypeError('expected lowercase hex');
+        return new ByteReader(hexToBytes(hex));
+    }
+
+    _advance(n) {
+        if (this.offset + n > this.buf.length) throw new RangeError('unexpected end of data');
+        const at = this.offset;
+        this.offset += n;
+        return at;
+    }
+
+    take(n) {
+        const at = this._advance(n);
+        return this.buf.subarray(at, at + n);
+    }
+
+    u8() {
+        return this.buf[this._advance(1)];
+    }
+
+    u32() {
+        return this.view.getUint32(this._advance(4), true);
+    }
+
+    u64() {
+        const v = this.view.getBigUint64(this._advance(8), true);
+        if (v > BigInt(Number.MAX_SAFE_INTEGER)) throw new RangeError('integer exceeds 2^53');
+        return Number(v);
+    }
+
+    // Only the shortest form is accepted — one value, one encoding
+    varint() {
+        const first = this.u8();
+        let v, min;
+        if (first < 0xfd) return first;
+        if (first === 0xfd) [v, min] = [this.view.getUint16(this._advance(2), true), 0xfd];
+        else if (first === 0xfe) [v, min] = [this.u32(), 0x10000];
+        else [v, min] = [this.u64(), 0x100000000];
+        if (v < min) throw new RangeError('non-canonical varint');
+        return v;
+    }
+
+    hex(size) {
+        return bytesToHex(this.take(size));
+    }
+
+    varBytes() {
+        return this.take(this.varint());
+    }
+
+    end() {
+        if (this.offset !== this.buf.length) throw new RangeError(`${this.buf.length - this.offset} trailing bytes`);
+    }
+}
+
+// A coinbase output can be spent once COINBASE_MATURITY blocks have
+// been built on the block that created it, so a reorg can't leave
+// spends of vanished rewards behind. The genesis allocation is exempt.
+const COINBASE_MATURITY = 100;
+
+function isMature(utxo, spendHeight) {
+    return !utxo.coinbase || utxo.height === 0 || spendHeight - utxo.height >= COINBASE_MATURITY;
+}
+
+// Signatures verified already — "txid:signature:publicKey" — so a
+// transaction checked on entering the mempool isn't checked again when
+// a block confirms it or a reorg re-checks the pool. Oldest go first.
+const SIGNATURE_CACHE_SIZE = 50000;
+const signatureCache = new Set();
+
+function verifyInputSignature(txHash, signature, publicKey) {
+    const key = `${txHash}:${signature}:${publicKey}`;
+    if (signatureCache.has(key)) return true;
+    if (!verifySignature(hexToBytes(txHash), signature, publicKey)) return false;
+    signatureCache.add(key);
+    if (signatureCache.size > SIGNATURE_CACHE_SIZE) signatureCache.delete(signatureCache.values().next().value);
+    return true;
+}
+
 // ============================================================
 // §2 & §9: Transaction — Chain of digital signatures, UTXO
 // ============================================================
 class Transaction {
     constructor(inputs, outputs, isCoinbase = false) {
-        this.inputs = inputs;       // [{txHash, outputIndex}]
-        this.outputs = outputs;     // [{address, amount}]
+        this.version = TX_VERSION;
+        this.inputs = inputs;       // [{txHash, outputIndex, publicKey, sequence}]
+        this.outputs = outputs;     // [{address, amount}] — amount in units
         this.signatures = [];
         this.isCoinbase = isCoinbase;
         this.timestamp = Date.now();
         this.hash = this.computeHash();
     }
 
+    // txid: double SHA-256 of the encoding without signatures
     computeHash() {
-        const data = JSON.stringify({
-            inputs: this.inputs,
-            outputs: this.outputs,
-            timestamp: this.timestamp,
-            isCoinbase: this.isCoinbase
-        });
-        return sha256(data);
+        return hash256(this.serialize(false));
+    }
+
+    // What a block's merkle root commits to: the encoding with the
+    // signatures, so nobody relaying the block can swap them under the
+    // same block hash. A coinbase has none and keeps its txid.
+    merkleHash() {
+        return this.isCoinbase ? this.hash : hash256(this.serialize());
+    }
+
+    serialize(withSignatures = true) {
+        const w = new ByteWriter().u32(this.version).varint(this.inputs.length);
+        for (const inp of this.inputs) {
+            w.hex(inp.txHash, 32).u32(inp.outputIndex);
+            if (this.isCoinbase) w.varBytes(new TextEncoder().encode(inp.message || ''));
+            else w.varint(33).hex(inp.publicKey, 33);
+            w.u32(inp.sequence ?? SEQUENCE_FINAL);
+        }
+        w.varint(this.outputs.length);
+        for (const out of this.outputs) w.u64(out.amount).hex(out.address, 20);
+        w.u64(this.timestamp);
+        if (withSignatures) {
+            w.varint(this.signatures.length);
+            for (const sig of this.signatures) w.hex(sig, 64);
+        }
+        return w.toBytes();
+    }
+
+    toHex() {
+        return bytesToHex(this.serialize());
+    }
+
+    static deserialize(reader) {
+        const version = reader.u32();
+        if (version !== TX_VERSION) throw new Error(`unsupported transaction version ${version}`);
+        const raw = [];
+        for (let i = reader.varint(); i > 0; i--) {
+            raw.push({ txHash: reader.hex(32), outputIndex: reader.u32(), script: reader.varBytes(), sequence: reader.u32() });
+        }
+        const isCoinbase = isNullPrevout(raw);
+        const inputs = raw.map(({ txHash, outputIndex, script, sequence }) => isCoinbase
+            ? { txHash, outputIndex, ...(script.length && { message: new TextDecoder('utf-8', { fatal: true }).decode(script) }), sequence }
+            : { txHash, outputIndex, publicKey: bytesToHex(script), sequence });
+        const outputs = [];
+        for (let i = reader.varint(); i > 0; i--) {
+            const amount = reader.u64();
+            outputs.push({ address: reader.hex(20), amount });
+        }
+        const tx = new Transaction(inputs, outputs, isCoinbase);
+        tx.timestamp = reader.u64();
+        for (let i = reader.varint(); i > 0; i--) tx.signatures.push(reader.hex(64));
+        tx.hash = tx.computeHash();
+        return tx;
     }
 
+    static fromHex(hex) {
+        const reader = ByteReader.fromHex(hex);
+        const tx = Transaction.deserialize(reader);
+        reader.end();
+        return tx;
+    }
+
+    // Each input signs SHA-256 of the 32-byte txid
     sign(privateKey) {
+        this.signatures = [];
         for (let i = 0; i < this.inputs.length; i++) {
-            this.signatures.push(signData(this.hash, privateKey));
+            this.signatures.push(signData(hexToBytes(this.hash), privateKey));
         }
     }
 
-    verify(utxoSet) {
-        if (this.isCoinbase) return true;
-        // Check signatures
+    // Self-contained: each input names the public key that owns the
+    // spent output, so no wallet state is needed to check it.
+    // `spendHeight` is the height of the block that would confirm it.
+    // Returns { valid, reason, fee } so callers can say why a
+    // transaction was refused.
+    validate(utxoSet, spendHeight) {
+        const fail = (reason) => ({ valid: false, reason });
+        if (!Array.isArray(this.inputs) || !Array.isArray(this.outputs)) return fail('malformed transaction');
+        if (this.outputs.length === 0) return fail('no outputs');
+        if (this.version !== TX_VERSION) return fail(`unsupported version ${this.version}`);
+        if (this.isCoinbase !== isNullPrevout(this.inputs)) return fail('coinbase flag does not match inputs');
+        for (const out of this.outputs) {
+            if (!isHex(out.address, 40) || !isValidAmount(out.amount) || out.amount === 0) {
+                return fail('invalid output');
+            }
+        }
+        const outputSum = sumAmounts(this.outputs.map(out => out.amount));
+        if (Number.isNaN(outputSum)) return fail('output total out of range');
+        // Encoding fails on anything the wire format can't carry
+        let hash;
+        try {
+            hash = this.computeHash();
+        } catch (e) {
+            return fail(`malformed transaction (${e.message})`);
+        }
+        if (this.hash !== hash) return fail('hash does not match contents');
+        if (this.isCoinbase) {
+            // Its merkle hash is the txid, which leaves signatures out
+            if (this.signatures.length) return fail('coinbase carries signatures');
+            return { valid: true, fee: 0 };
+        }
+        if (this.inputs.length === 0) return fail('no inputs');
+
+        const spent = new Set();
+        const inputAmounts = [];
         for (let i = 0; i < this.inputs.length; i++) {
             const inp = this.inputs[i];
             const utxoKey = `${inp.txHash}:${inp.outputIndex}`;
+            if (spent.has(utxoKey)) return fail(`input ${i} spends the same output twice`);
+            spent.add(utxoKey);
             const utxo = utxoSet.get(utxoKey);
-            if (!utxo) return false;
-            // Find public key for the address
-            let verified = false;
-            for (const [pubKey, wallet] of WALLET_REGISTRY) {
-                if (wallet.address === utxo.address) {
-                    if (verifySignature(this.hash, this.signatures[i], pubKey)) {
-                        verified = true;
-                        break;
-                    }
-                }
+            if (!utxo) return fail(`input ${i} spends missing or spent output ${inp.txHash?.substring(0, 8)}:${inp.outputIndex}`);
+            if (!isMature(utxo, spendHeight)) {
+                return fail(`input ${i} spends an immature coinbase from block ${utxo.height} (spendable at height ${utxo.height + COINBASE_MATURITY})`);
+            }
+            // The key must hash to the address that owns the output
+            if (!inp.publicKey || deriveAddress(inp.publicKey) !== utxo.address) {
+                return fail(`input ${i} public key does not own the output`);
             }
-            if (!verified) return false;
+            if (!verifyInputSignature(this.hash, this.signatures[i], inp.publicKey)) {
+                return fail(`input ${i} has an invalid signature`);
+            }
+            inputAmounts.push(utxo.amount);
         }
         // §9: Check input sum >= output sum
-        const inputSum = this.inputs.reduce((sum, inp) => {
-            const utxo = utxoSet.get(`${inp.txHash}:${inp.outputIndex}`);
-            return sum + (utxo ? utxo.amount : 0);
-        }, 0);
-        const outputSum = this.outputs.reduce((sum, out) => sum + out.amount, 0);
-        return inputSum >= outputSum;
+        const inputSum = sumAmounts(inputAmounts);
+        if (Number.isNaN(inputSum)) return fail('input total out of range');
+        if (inputSum < outputSum) return fail(`outputs (${outputSum}) exceed inputs (${inputSum})`);
+        return { valid: true, fee: inputSum - outputSum };
+    }
+
+    verify(utxoSet, spendHeight) {
+        return this.validate(utxoSet, spendHeight).valid;
+    }
+
+    // Encoded size in bytes, signatures included — what fee rates are per
+    getSize() {
+        return this.serialize().length;
+    }
+
+    // Opt-in replace-by-fee: the sender marked this payment as one a
+    // higher-fee version may replace while it is unconfirmed
+    signalsReplacement() {
+        return this.inputs.some(inp => (inp.sequence ?? SEQUENCE_FINAL) <= SEQUENCE_RBF);
     }
 
     getInputTotal(utxoSet) {
@@ -227,9 +727,20 @@ class Transaction {
         return this.getInputTotal(utxoSet) - this.outputs.reduce((s, o) => s + o.amount, 0);
     }
 
+    // Rebuild from the JSON form used on disk and on the wire. The hash
+    // is taken as given — validate() recomputes it.
+    static fromJSON(data) {
+        const tx = new Transaction(data.inputs, data.outputs, data.isCoinbase);
+        tx.version = data.version ?? TX_VERSION;
+        tx.timestamp = data.timestamp;
+        tx.signatures = data.signatures || [];
+        tx.hash = data.hash;
+        return tx;
+    }
+
     static createCoinbase(address, reward, blockHeight) {
         return new Transaction(
-            [{ txHash: '0'.repeat(64), outputIndex: blockHeight }],
+            [{ txHash: NULL_HASH, outputIndex: blockHeight, sequence: SEQUENCE_FINAL }],
             [{ address, amount: reward }],
             true
         );
@@ -239,208 +750,1738 @@ class Transaction {
 // ============================================================
 // §3 & §4: Block — Timestamp server + Proof-of-Work
 // ============================================================
-const MINING_REWARD = 50; // FPC per block
+const MINING_REWARD = 50 * COIN; // per block in the first era — halves from there
+const HALVING_INTERVAL = 200000;
+const TARGET_BLOCK_TIME = 60 * 1000; // ms between blocks the network aims for
+const RETARGET_INTERVAL = 30;        // blocks between difficulty adjustments
+const MEDIAN_TIME_SPAN = 11;         // blocks in the median-time-past window
+const MAX_FUTURE_DRIFT = 10 * TARGET_BLOCK_TIME; // how far ahead of our clock a block may be
+const POW_LIMIT_BITS = 0x1f00ffff;   // easiest allowed target, ≈ 2^240 (4 hex zeros)
+const MAX_BLOCK_SIZE = 1000000;      // bytes of encoded block, header included
+const MEMORY_BLOCKS = 12;            // newest blocks kept whole in memory when a block store holds the rest
+const PRUNE_KEEP_BLOCKS = 288;       // newest blocks a pruned store never deletes — the reorg window
+
+// §4: Targets are 256-bit numbers; a hash is valid when, read as a
+// number, it is <= the target. Headers carry the target in Bitcoin's
+// compact "bits" form: 1 byte exponent (length in bytes) + 3 byte mantissa.
+function compactToTarget(bits) {
+    const exponent = bits >>> 24;
+    const mantissa = BigInt(bits & 0x007fffff);
+    if (bits & 0x00800000) return 0n; // sign bit — never a valid target
+    return exponent <= 3
+        ? mantissa >> BigInt(8 * (3 - exponent))
+        : mantissa << BigInt(8 * (exponent - 3));
+}
+
+function targetToCompact(target) {
+    let size = Math.ceil(target.toString(16).length / 2);
+    let mantissa = size <= 3
+        ? Number(target << BigInt(8 * (3 - size)))
+        : Number(target >> BigInt(8 * (size - 3)));
+    // Keep the mantissa's top bit clear — it would read as negative
+    if (mantissa & 0x00800000) {
+        mantissa >>= 8;
+        size++;
+    }
+    return ((size << 24) | mantissa) >>> 0;
+}
+
+// §6: Block subsidy — halves every HALVING_INTERVAL blocks until it
+// rounds away entirely. The genesis allocation is its own coinbase.
+function getBlockSubsidy(height) {
+    if (height === 0) return 0;
+    const halvings = Math.floor(height / HALVING_INTERVAL);
+    return halvings >= 64 ? 0 : Number(BigInt(MINING_REWARD) >> BigInt(halvings));
+}
+
+// Expected number of hashes to find a block at this target
+function targetWork(target) {
+    return (1n << 256n) / (target + 1n);
+}
 
 class Block {
-    constructor(height, previousHash, transactions, difficulty) {
+    constructor(height, previousHash, transactions, bits) {
+        this.version = BLOCK_VERSION;
         this.height = height;
         this.previousHash = previousHash;
-        this.transactions = transactions;
-        this.difficulty = difficulty;
+        this.transactions = transactions; // null once released to a block store
+        this.bits = bits;           // compact PoW target
         this.timestamp = Date.now();
-        this.merkleRoot = MerkleTree.computeRoot(
-            transactions.map(tx => tx.hash)
-        );
+        this.merkleRoot = Block.computeMerkleRoot(transactions);
         this.nonce = 0;
         this.hash = '';
         this.miningTime = 0;
     }
 
-    getHeaderString() {
-        return `${this.height}:${this.previousHash}:${this.merkleRoot}:${this.timestamp}:${this.difficulty}:${this.nonce}`;
+    static computeMerkleRoot(transactions) {
+        return MerkleTree.computeRoot(transactions.map(tx => tx.merkleHash()));
+    }
+
+    // The 88-byte header — all that proof-of-work covers
+    serializeHeader() {
+        return new ByteWriter()
+            .u32(this.version)
+            .u32(this.height)
+            .hex(this.previousHash, 32)
+            .hex(this.merkleRoot, 32)
+            .u64(this.timestamp)
+            .u32(this.bits)
+            .u32(this.nonce)
+            .toBytes();
+    }
+
+    computeHash() {
+        return hash256(this.serializeHeader());
+    }
+
+    serialize() {
+        const w = new ByteWriter().bytes(this.serializeHeader()).varint(this.transactions.length);
+        for (const tx of this.transactions) w.bytes(tx.serialize());
+        return w.toBytes();
+    }
+
+    toHex() {
+        return bytesToHex(this.serialize());
+    }
+
+    headerHex() {
+        return bytesToHex(this.serializeHeader());
+    }
+
+    getSize() {
+        return this.serialize().length;
+    }
+
+    // Parse an 88-byte header. The block comes back without its
+    // transactions (null) — the caller reads those next, or not at all.
+    static readHeader(reader) {
+        const version = reader.u32();
+        if (version !== BLOCK_VERSION) throw new Error(`unsupported block version ${version}`);
+        const height = reader.u32();
+        const previousHash = reader.hex(32);
+        const merkleRoot = reader.hex(32);
+        const timestamp = reader.u64();
+        const bits = reader.u32();
+        const nonce = reader.u32();
+        const block = new Block(height, previousHash, [], bits);
+        block.transactions = null;
+        block.merkleRoot = merkleRoot;
+        block.timestamp = timestamp;
+        block.nonce = nonce;
+        block.hash = block.computeHash();
+        return block;
+    }
+
+    static fromHex(hex) {
+        const reader = ByteReader.fromHex(hex);
+        const block = Block.readHeader(reader);
+        const txs = [];
+        for (let i = reader.varint(); i > 0; i--) txs.push(Transaction.deserialize(reader));
+        reader.end();
+        block.transactions = txs;
+        return block;
+    }
+
+    // Header only — Blockchain.getBlock loads the transactions
+    static fromHeaderHex(hex) {
+        const reader = ByteReader.fromHex(hex);
+        const block = Block.readHeader(reader);
+        reader.end();
+        return block;
+    }
+
+    static fromJSON(data) {
+        const txs = data.transactions.map(t => Transaction.fromJSON(t));
+        const block = new Block(data.height, data.previousHash, txs, data.bits);
+        block.version = data.version ?? BLOCK_VERSION;
+        block.timestamp = data.timestamp;
+        block.merkleRoot = data.merkleRoot;
+        block.nonce = data.nonce;
+        block.hash = data.hash;
+        block.miningTime = data.miningTime || 0;
+        return block;
     }
 
-    // §4: Scan for nonce where SHA-256(header) starts with N zero hex chars
+    // §4: Scan for nonce where SHA-256d(header) <= target. Both are
+    // 64-char lowercase hex, so string order is numeric order. Only the
+    // nonce bytes change between attempts.
     mine() {
-        const target = '0'.repeat(this.difficulty);
+        const target = compactToTarget(this.bits).toString(16).padStart(64, '0');
         const startTime = performance.now();
         let attempts = 0;
+        let header = this.serializeHeader();
         do {
+            if (this.nonce === 0xffffffff) {
+                // Nonce space exhausted — move the clock on and start over
+                this.nonce = 0;
+                this.timestamp++;
+                header = this.serializeHeader();
+            }
             this.nonce++;
             attempts++;
-            this.hash = sha256(this.getHeaderString());
-        } while (!this.hash.startsWith(target));
+            new DataView(header.buffer).setUint32(NONCE_OFFSET, this.nonce, true);
+            this.hash = hash256(header);
+        } while (this.hash > target);
         this.miningTime = Math.round(performance.now() - startTime);
         return { hash: this.hash, attempts, time: this.miningTime };
     }
 }
 
 // ============================================================
-// §5: Blockchain — Network consensus, UTXO set, mempool
+// UTXO View — Copy-on-write layer over a UTXO set
 // ============================================================
-class Blockchain {
-    constructor(difficulty = 4) {
-        this.chain = [];
-        this.utxoSet = new Map();   // "txHash:outIdx" → {address, amount}
-        this.mempool = [];          // unconfirmed transactions
-        this.difficulty = difficulty;
-        this.onBlockMined = null;   // callback for UI
-        this.onMempoolUpdate = null;
-        this.miningStats = { totalBlocks: 0, totalHashes: 0, totalTime: 0 };
+// Lets a block (or a batch of mempool transactions) be checked
+// against the set "as of" that point without touching the real one.
+class UTXOView {
+    constructor(base) {
+        this.base = base;
+        this.added = new Map();
+        this.spent = new Set();
     }
 
-    initialize(genesisAddress) {
-        const coinbase = Transaction.createCoinbase(genesisAddress, MINING_REWARD * 100, 0);
-        const genesis = new Block(0, '0'.repeat(64), [coinbase], this.difficulty);
-        const result = genesis.mine();
-        this.chain.push(genesis);
-        this._processBlockUTXOs(genesis);
-        this.miningStats.totalBlocks++;
-        this.miningStats.totalHashes += result.attempts;
-        this.miningStats.totalTime += result.time;
-        return genesis;
+    get(key) {
+        if (this.added.has(key)) return this.added.get(key);
+        return this.spent.has(key) ? undefined : this.base.get(key);
     }
 
-    addToMempool(tx) {
-        if (!tx.isCoinbase && !tx.verify(this.utxoSet)) {
-            throw new Error('Invalid transaction');
+    // `height` is the block the transaction confirms in (or would)
+    apply(tx, height) {
+        if (!tx.isCoinbase) {
+            for (const inp of tx.inputs) {
+                const key = `${inp.txHash}:${inp.outputIndex}`;
+                if (!this.added.delete(key)) this.spent.add(key);
+            }
         }
-        this.mempool.push(tx);
-        if (this.onMempoolUpdate) this.onMempoolUpdate(this.mempool);
-        return true;
+        tx.outputs.forEach((out, idx) => {
+            this.added.set(`${tx.hash}:${idx}`, { address: out.address, amount: out.amount, height, coinbase: tx.isCoinbase });
+        });
     }
+}
 
-    mineBlock(minerAddress) {
-        const coinbase = Transaction.createCoinbase(
-            minerAddress, MINING_REWARD, this.chain.length
-        );
-        const txs = [coinbase, ...this.mempool];
-        const prevHash = this.chain[this.chain.length - 1].hash;
-        const block = new Block(this.chain.length, prevHash, txs, this.difficulty);
-        const result = block.mine();
-        this.chain.push(block);
-        this._processBlockUTXOs(block);
-        this.mempool = [];
-        this.miningStats.totalBlocks++;
-        this.miningStats.totalHashes += result.attempts;
-        this.miningStats.totalTime += result.time;
-        if (this.onMempoolUpdate) this.onMempoolUpdate(this.mempool);
-        if (this.onBlockMined) this.onBlockMined(block);
-        return block;
+// ============================================================
+// Mempool — Unconfirmed transactions, indexed by what they spend
+// ============================================================
+// Every outpoint a pooled transaction spends maps back to it, so a
+// second spend of the same output is caught on arrival, and a block
+// confirming a rival spend evicts the loser along with everything
+// built on it. Evictions are kept (most recent first) so the node can
+// say why a transaction disappeared.
+//
+// The pool is also a UTXO view of "the chain plus every pooled
+// transaction": outputs of pooled transactions can be spent by later
+// ones, forming ancestor/descendant packages of bounded size.
+const MEMPOOL_DROP_LOG = 100;
+const MEMPOOL_MAX_ANCESTORS = 25;   // a tx plus its unconfirmed ancestors
+const MEMPOOL_MAX_DESCENDANTS = 25; // a tx plus its unconfirmed descendants
+const MEMPOOL_MAX_REPLACED = 100;   // transactions one replacement may evict
+// Default policy — a node may set its own on `mempool.maxSize` etc.
+const MEMPOOL_MAX_SIZE = 5 * MAX_BLOCK_SIZE;      // bytes of pooled transactions
+const MIN_RELAY_FEE_RATE = 1;                     // units per byte
+const MEMPOOL_EXPIRY = 14 * 24 * 60 * 60 * 1000;  // ms a transaction may wait
+// Block assembly gives up after this many packages in a row don't fit,
+// once the block is within BLOCK_FULL_MARGIN bytes of full
+const MAX_PACKAGE_FAILURES = 1000;
+const BLOCK_FULL_MARGIN = 4000;
+
+// Binary heap; pop() returns the item that `before` ranks first
+class PriorityQueue {
+    constructor(before) {
+        this.before = before;
+        this.items = [];
     }
 
-    _processBlockUTXOs(block) {
-        for (const tx of block.transactions) {
-            // Remove spent UTXOs (inputs)
-            if (!tx.isCoinbase) {
-                for (const inp of tx.inputs) {
-                    this.utxoSet.delete(`${inp.txHash}:${inp.outputIndex}`);
-                }
-            }
-            // Add new UTXOs (outputs)
-            tx.outputs.forEach((out, idx) => {
-                this.utxoSet.set(`${tx.hash}:${idx}`, {
-                    address: out.address,
-                    amount: out.amount
-                });
-            });
-        }
+    get size() {
+        return this.items.length;
     }
 
-    getBalance(address) {
-        let balance = 0;
-        for (const [, utxo] of this.utxoSet) {
-            if (utxo.address === address) balance += utxo.amount;
+    push(item) {
+        const items = this.items;
+        let i = items.push(item) - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (!this.before(items[i], items[parent])) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
         }
-        return Math.round(balance * 100) / 100;
     }
 
-    getUTXOs(address) {
-        const result = [];
-        for (const [key, utxo] of this.utxoSet) {
-            if (utxo.address === address) {
-                const [txHash, outIdx] = key.split(':');
-                result.push({ txHash, outputIndex: parseInt(outIdx), ...utxo });
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length) {
+            items[0] = last;
+            for (let i = 0; ;) {
+                let first = i;
+                for (const child of [2 * i + 1, 2 * i + 2]) {
+                    if (child < items.length && this.before(items[child], items[first])) first = child;
+                }
+                if (first === i) break;
+                [items[i], items[first]] = [items[first], items[i]];
+                i = first;
             }
         }
-        return result;
+        return top;
     }
+}
 
-    // Validate entire chain integrity
-    validateChain() {
-        for (let i = 1; i < this.chain.length; i++) {
-            const block = this.chain[i];
-            const prev = this.chain[i - 1];
-            // Check hash link
-            if (block.previousHash !== prev.hash) return { valid: false, block: i, reason: 'broken hash link' };
-            // Check PoW
-            if (!block.hash.startsWith('0'.repeat(block.difficulty))) return { valid: false, block: i, reason: 'invalid PoW' };
-            // Verify hash is correct
-            const computed = sha256(block.getHeaderString());
-            if (computed !== block.hash) return { valid: false, block: i, reason: 'hash mismatch' };
-            // Verify Merkle root
-            const merkle = MerkleTree.computeRoot(block.transactions.map(t => t.hash));
-            if (merkle !== block.merkleRoot) return { valid: false, block: i, reason: 'merkle mismatch' };
-        }
-        return { valid: true };
+class Mempool {
+    constructor(utxoSet) {
+        this.utxoSet = utxoSet;     // the confirmed set this pool builds on
+        this.txs = new Map();       // hash → tx, in arrival order
+        this.spentBy = new Map();   // "txHash:outIdx" → hash of the pooled tx spending it
+        this.created = new Map();   // "txHash:outIdx" → output of a pooled tx
+        this.fees = new Map();      // hash → fee, priced when it entered
+        this.sizes = new Map();     // hash → encoded size in bytes
+        this.times = new Map();     // hash → when it first entered the pool
+        this.bytes = 0;             // total encoded size of the pool
+        this.dropped = [];          // [{hash, reason, conflictsWith, time}]
+        this.maxSize = MEMPOOL_MAX_SIZE;
+        this.minFeeRate = MIN_RELAY_FEE_RATE;
+        this.expiry = MEMPOOL_EXPIRY;
     }
 
-    getStats() {
-        return {
-            blocks: this.chain.length,
-            transactions: this.chain.reduce((s, b) => s + b.transactions.length, 0),
-            utxos: this.utxoSet.size,
-            mempool: this.mempool.length,
-            difficulty: this.difficulty,
-            avgMineTime: this.miningStats.totalBlocks > 0
-                ? Math.round(this.miningStats.totalTime / this.miningStats.totalBlocks)
-                : 0,
-            totalHashes: this.miningStats.totalHashes,
-            hashRate: this.miningStats.totalTime > 0
-                ? Math.round(this.miningStats.totalHashes / (this.miningStats.totalTime / 1000))
-                : 0
-        };
+    get size() {
+        return this.txs.size;
     }
-}
 
-// ============================================================
-// Wallet — Key management, balance, transaction creation
-// ============================================================
-class Wallet {
-    constructor(name, blockchain) {
-        this.name = name;
-        this.blockchain = blockchain;
-        this.privateKey = generatePrivateKey();
-        this.publicKey = derivePublicKey(this.privateKey);
+    [Symbol.iterator]() {
+        return this.txs.values();
+    }
+
+    toArray() {
+        return [...this.txs.values()];
+    }
+
+    has(hash) {
+        return this.txs.has(hash);
+    }
+
+    // UTXO lookup as if every pooled transaction had confirmed
+    get(key) {
+        if (this.spentBy.has(key)) return undefined;
+        return this.created.get(key) || this.utxoSet.get(key);
+    }
+
+    // Pooled transactions spending any output `tx` also spends
+    getConflicts(tx) {
+        const hashes = new Set();
+        for (const inp of tx.inputs) {
+            const spender = this.spentBy.get(`${inp.txHash}:${inp.outputIndex}`);
+            if (spender && spender !== tx.hash) hashes.add(spender);
+        }
+        return [...hashes];
+    }
+
+    // Pooled transactions whose outputs `tx` spends
+    getParents(tx) {
+        return [...new Set(tx.inputs.map(inp => inp.txHash))].filter(hash => this.txs.has(hash));
+    }
+
+    // Pooled transactions spending outputs of the pooled tx `hash`
+    getChildren(hash) {
+        const children = new Set();
+        this.txs.get(hash).outputs.forEach((out, idx) => {
+            const spender = this.spentBy.get(`${hash}:${idx}`);
+            if (spender) children.add(spender);
+        });
+        return [...children];
+    }
+
+    // Every unconfirmed transaction `tx` depends on, nearest first
+    getAncestors(tx) {
+        return this._walk(this.getParents(tx), hash => this.getParents(this.txs.get(hash)));
+    }
+
+    // Every pooled transaction that depends on `hash`, nearest first
+    getDescendants(hash) {
+        return this._walk(this.getChildren(hash), h => this.getChildren(h));
+    }
+
+    _walk(start, next) {
+        const seen = new Set(start);
+        const queue = [...start];
+        while (queue.length) {
+            for (const hash of next(queue.shift())) {
+                if (!seen.has(hash)) {
+                    seen.add(hash);
+                    queue.push(hash);
+                }
+            }
+        }
+        return [...seen];
+    }
+
+    // Package limits for adding `tx` — null if it fits, else the reason
+    checkLimits(tx) {
+        const ancestors = this.getAncestors(tx);
+        if (ancestors.length + 1 > MEMPOOL_MAX_ANCESTORS) {
+            return `too many unconfirmed ancestors (${ancestors.length}, max ${MEMPOOL_MAX_ANCESTORS - 1})`;
+        }
+        for (const hash of ancestors) {
+            if (this.getDescendants(hash).length + 2 > MEMPOOL_MAX_DESCENDANTS) {
+                return `ancestor ${hash.substring(0, 16)}... already has ${MEMPOOL_MAX_DESCENDANTS - 1} unconfirmed descendants`;
+            }
+        }
+        return null;
+    }
+
+    getFee(hash) {
+        return this.fees.get(hash);
+    }
+
+    // Fee per encoded byte, in units
+    getFeeRate(hash) {
+        return this.fees.get(hash) / this.sizes.get(hash);
+    }
+
+    getTime(hash) {
+        return this.times.get(hash);
+    }
+
+    // UTXO lookup as if `hashes` and their descendants had left the pool
+    without(hashes) {
+        const gone = new Set(this._walk(hashes, hash => this.getChildren(hash)));
+        return {
+            get: (key) => {
+                const spender = this.spentBy.get(key);
+                if (spender && !gone.has(spender)) return undefined;
+                if (gone.has(key.split(':')[0])) return undefined;
+                return this.created.get(key) || this.utxoSet.get(key);
+            }
+        };
+    }
+
+    // Replace-by-fee: `tx`, paying `fee`, may evict the pooled
+    // transactions it `conflicts` with if every one of them signals
+    // replaceability and it outbids them — a higher fee rate than each,
+    // and more in total than they and their descendants pay together.
+    // Returns { valid, reason, replaced }.
+    checkReplacement(tx, fee, conflicts) {
+        const fail = (reason) => ({ valid: false, reason });
+        const locked = conflicts.find(hash => !this.txs.get(hash).signalsReplacement());
+        if (locked) return fail(`double spend — conflicts with mempool tx ${locked.substring(0, 16)}... (not replaceable)`);
+        const replaced = this._walk(conflicts, hash => this.getChildren(hash));
+        if (replaced.length > MEMPOOL_MAX_REPLACED) {
+            return fail(`replacement would evict ${replaced.length} transactions (max ${MEMPOOL_MAX_REPLACED})`);
+        }
+        const feeRate = fee / tx.getSize();
+        for (const hash of conflicts) {
+            if (feeRate <= this.getFeeRate(hash)) {
+                return fail(`replacement fee rate ${feeRate.toFixed(2)}/B must exceed ${this.getFeeRate(hash).toFixed(2)}/B of ${hash.substring(0, 16)}...`);
+            }
+        }
+        // On top of what it evicts, it pays its own way at the relay rate
+        const replacedFees = replaced.reduce((sum, hash) => sum + this.fees.get(hash), 0);
+        const required = replacedFees + Math.max(1, Math.ceil(this.minFeeRate * tx.getSize()));
+        if (fee < required) {
+            return fail(`replacement fee ${fee} must be at least ${required} — ${replacedFees} paid by the ${replaced.length} transaction(s) it replaces, plus its own relay fee`);
+        }
+        return { valid: true, replaced };
+    }
+
+    // `tx` must already validate against this pool
+    add(tx, time = Date.now()) {
+        const size = tx.getSize();
+        this.fees.set(tx.hash, tx.getFee(this));
+        this.sizes.set(tx.hash, size);
+        this.times.set(tx.hash, time);
+        this.bytes += size;
+        this.txs.set(tx.hash, tx);
+        for (const inp of tx.inputs) this.spentBy.set(`${inp.txHash}:${inp.outputIndex}`, tx.hash);
+        tx.outputs.forEach((out, idx) => {
+            this.created.set(`${tx.hash}:${idx}`, { address: out.address, amount: out.amount, height: null, coinbase: false });
+        });
+    }
+
+    remove(hash) {
+        const tx = this.txs.get(hash);
+        if (!tx) return null;
+        this.txs.delete(hash);
+        this.bytes -= this.sizes.get(hash);
+        this.fees.delete(hash);
+        this.sizes.delete(hash);
+        this.times.delete(hash);
+        for (const inp of tx.inputs) {
+            const key = `${inp.txHash}:${inp.outputIndex}`;
+            if (this.spentBy.get(key) === hash) this.spentBy.delete(key);
+        }
+        tx.outputs.forEach((out, idx) => this.created.delete(`${hash}:${idx}`));
+        return tx;
+    }
+
+    // Remove a transaction that can no longer confirm, and everything
+    // spending its outputs, recording why
+    evict(hash, reason, conflictsWith = null) {
+        if (!this.txs.has(hash)) return;
+        const descendants = this.getDescendants(hash);
+        this.remove(hash);
+        this.recordDrop(hash, reason, conflictsWith);
+        for (const child of descendants) {
+            if (this.remove(child)) this.recordDrop(child, `spends output of dropped tx ${hash.substring(0, 16)}...`);
+        }
+    }
+
+    // Drop whatever has waited longer than `expiry`
+    expire(now = Date.now()) {
+        for (const [hash, time] of this.times) {
+            if (now - time > this.expiry) {
+                this.evict(hash, `expired — unconfirmed for over ${Math.round(this.expiry / 3600000)}h`);
+            }
+        }
+    }
+
+    // Over `maxSize`: evict the cheapest packages — a transaction with
+    // everything spending it, priced by combined fee rate — until it fits
+    trimToSize() {
+        while (this.bytes > this.maxSize) {
+            let worst = null;
+            for (const hash of this.txs.keys()) {
+                const pkg = [hash, ...this.getDescendants(hash)];
+                const rate = pkg.reduce((sum, h) => sum + this.fees.get(h), 0) / pkg.reduce((sum, h) => sum + this.sizes.get(h), 0);
+                if (!worst || rate < worst.rate) worst = { hash, rate };
+            }
+            this.evict(worst.hash, `mempool full — fee rate ${worst.rate.toFixed(2)}/B too low`);
+        }
+    }
+
+    recordDrop(hash, reason, conflictsWith = null) {
+        this.dropped.unshift({ hash, reason, conflictsWith, time: Date.now() });
+        if (this.dropped.length > MEMPOOL_DROP_LOG) this.dropped.pop();
+    }
+
+    // A block just connected: its transactions leave the pool as
+    // confirmed, and anything spending the same outputs is evicted
+    removeForBlock(block) {
+        for (const tx of block.transactions) {
+            if (tx.isCoinbase) continue;
+            if (this.remove(tx.hash)) continue;
+            for (const hash of this.getConflicts(tx)) {
+                this.evict(hash, `double-spent by ${tx.hash.substring(0, 16)}... in block #${block.height}`, tx.hash);
+            }
+        }
+    }
+
+    // Pooled transactions (all, or just `hashes`) with every parent
+    // ahead of its children, as a block must list them
+    inBlockOrder(hashes = this.txs.keys()) {
+        const wanted = new Set(hashes);
+        const ordered = [];
+        const place = (hash) => {
+            if (!wanted.delete(hash)) return;
+            const tx = this.txs.get(hash);
+            for (const parent of this.getParents(tx)) place(parent);
+            ordered.push(tx);
+        };
+        for (const hash of [...wanted]) place(hash);
+        return ordered;
+    }
+
+    // Fill up to `maxSize` bytes, best ancestor fee rate first: each
+    // candidate is priced together with the unconfirmed ancestors it
+    // would bring along. What doesn't fit waits for the next block.
+    selectForBlock(maxSize) {
+        // Ancestors and descendants of each tx, found once, parents first
+        const ancestors = new Map();
+        const descendants = new Map();
+        for (const tx of this.inBlockOrder()) {
+            const set = new Set();
+            for (const parent of this.getParents(tx)) {
+                set.add(parent);
+                for (const hash of ancestors.get(parent)) set.add(hash);
+            }
+            ancestors.set(tx.hash, set);
+            descendants.set(tx.hash, []);
+            for (const hash of set) descendants.get(hash).push(tx.hash);
+        }
+        // Package totals — the tx plus its ancestors not in the block yet.
+        // Including a tx updates only its descendants' totals, which go
+        // back in the queue; entries whose totals changed since are stale.
+        const pkgFee = new Map();
+        const pkgSize = new Map();
+        const queue = new PriorityQueue((a, b) => a.fee * b.size > b.fee * a.size);
+        const enqueue = (hash) => queue.push({ hash, fee: pkgFee.get(hash), size: pkgSize.get(hash) });
+        for (const [hash, set] of ancestors) {
+            let fee = this.fees.get(hash);
+            let size = this.sizes.get(hash);
+            for (const h of set) {
+                fee += this.fees.get(h);
+                size += this.sizes.get(h);
+            }
+            pkgFee.set(hash, fee);
+            pkgSize.set(hash, size);
+            enqueue(hash);
+        }
+        const included = new Set();
+        const selected = [];
+        let size = 0;
+        let failures = 0;
+        while (queue.size) {
+            const best = queue.pop();
+            if (included.has(best.hash) || best.size !== pkgSize.get(best.hash)) continue;
+            if (size + best.size > maxSize) {
+                if (++failures >= MAX_PACKAGE_FAILURES && size > maxSize - BLOCK_FULL_MARGIN) break;
+                continue;
+            }
+            failures = 0;
+            const updated = new Set();
+            const pkg = [best.hash, ...ancestors.get(best.hash)].filter(h => !included.has(h));
+            for (const tx of this.inBlockOrder(pkg)) {
+                selected.push(tx);
+                included.add(tx.hash);
+                for (const hash of descendants.get(tx.hash)) {
+                    pkgFee.set(hash, pkgFee.get(hash) - this.fees.get(tx.hash));
+                    pkgSize.set(hash, pkgSize.get(hash) - this.sizes.get(tx.hash));
+                    updated.add(hash);
+                }
+            }
+            for (const hash of updated) if (!included.has(hash)) enqueue(hash);
+            size += best.size;
+        }
+        return selected;
+    }
+
+    clear() {
+        this.txs.clear();
+        this.spentBy.clear();
+        this.created.clear();
+        this.fees.clear();
+        this.sizes.clear();
+        this.times.clear();
+        this.bytes = 0;
+    }
+}
+
+// ============================================================
+// Fee estimation — how fast each fee rate has been confirming
+// ============================================================
+// Every transaction entering our mempool is filed under a fee-rate
+// bucket. When it confirms, the blocks it waited are counted against
+// that bucket; dropped, or still waiting past the target, it counts as
+// a miss. Older observations fade by FEE_DECAY per block. The estimate
+// for N blocks is the lowest rate at which nearly everything paying
+// that much or more confirmed within N blocks.
+const FEE_BUCKETS = [];              // lower bounds, units per byte
+for (let rate = 1; rate < 100000; rate *= 1.25) FEE_BUCKETS.push(Math.round(rate * 100) / 100);
+const FEE_MAX_TARGET = 25;           // furthest confirmation target, in blocks
+const FEE_DECAY = 0.99;              // weight an observation keeps per block
+const FEE_SUCCESS_RATE = 0.85;       // share that must confirm in time
+const FEE_MIN_SAMPLES = 4;           // weighted observations before a rate is trusted
+const WALLET_CONF_TARGET = 6;        // blocks the wallet aims for by default
+
+class FeeEstimator {
+    constructor() {
+        this.tracked = new Map();    // hash → {bucket, height} for pooled transactions
+        this.confirmed = FEE_BUCKETS.map(() => new Array(FEE_MAX_TARGET + 1).fill(0)); // [bucket][blocks waited]
+        this.missed = FEE_BUCKETS.map(() => 0);
+    }
+
+    static bucketFor(feeRate) {
+        let bucket = 0;
+        while (bucket + 1 < FEE_BUCKETS.length && FEE_BUCKETS[bucket + 1] <= feeRate) bucket++;
+        return bucket;
+    }
+
+    // `tx` entered the mempool while `height` was our tip
+    track(hash, feeRate, height) {
+        this.tracked.set(hash, { bucket: FeeEstimator.bucketFor(feeRate), height });
+    }
+
+    // A block connected: count what it confirmed, and whatever left the
+    // pool without confirming
+    processBlock(block, mempool) {
+        for (let b = 0; b < FEE_BUCKETS.length; b++) {
+            this.confirmed[b] = this.confirmed[b].map(n => n * FEE_DECAY);
+            this.missed[b] *= FEE_DECAY;
+        }
+        for (const tx of block.transactions) {
+            const entry = this.tracked.get(tx.hash);
+            if (!entry) continue;
+            this.tracked.delete(tx.hash);
+            const waited = Math.max(1, block.height - entry.height);
+            if (waited <= FEE_MAX_TARGET) this.confirmed[entry.bucket][waited]++;
+            else this.missed[entry.bucket]++;
+        }
+        for (const [hash, entry] of this.tracked) {
+            if (!mempool.has(hash)) {
+                this.tracked.delete(hash);
+                this.missed[entry.bucket]++;
+            }
+        }
+    }
+
+    // Lowest fee rate that has been confirming within `blocks` of
+    // `height` — null until there is enough history
+    estimate(blocks, height) {
+        const target = Math.min(Math.max(1, blocks), FEE_MAX_TARGET);
+        const waiting = FEE_BUCKETS.map(() => 0);
+        for (const entry of this.tracked.values()) {
+            if (height - entry.height >= target) waiting[entry.bucket]++;
+        }
+        // From the top, group buckets until there are enough samples to
+        // judge; stop at the first group that confirms too slowly
+        let best = null;
+        let inTime = 0, total = 0;
+        for (let b = FEE_BUCKETS.length - 1; b >= 0; b--) {
+            const counts = this.confirmed[b];
+            for (let n = 1; n <= FEE_MAX_TARGET; n++) {
+                if (n <= target) inTime += counts[n];
+                total += counts[n];
+            }
+            total += this.missed[b] + waiting[b];
+            if (total < FEE_MIN_SAMPLES) continue;
+            if (inTime / total < FEE_SUCCESS_RATE) break;
+            best = FEE_BUCKETS[b];
+            inTime = total = 0;
+        }
+        return best;
+    }
+}
+
+// ============================================================
+// Transaction and address indexes (optional)
+// ============================================================
+// Where each active-chain transaction sits, and what each address has
+// received and spent. Blocks enter and leave as deltas, so a store can
+// log them and replay the index on the next start.
+class TxIndex {
+    constructor() {
+        this.txs = new Map();       // tx hash → {block, height, index}
+        this.history = new Map();   // address → [{txHash, height, received, sent}], oldest first
+        this.balances = new Map();  // address → confirmed balance
+        this.utxos = new Map();     // address → Set of "txHash:outIdx" it holds
+        this.best = null;           // hash of the last block applied
+        this.onChange = null;       // (op, delta) — op is 'connect', 'disconnect' or 'reset'
+    }
+
+    // What `block` changes, given the pre-existing outputs it spent (its
+    // undo data): its txs, and [address, txHash, utxoKey, amount] for
+    // every output it created and every output it spent
+    static delta(block, spent) {
+        const outputs = new Map(spent);
+        const funding = [], spending = [];
+        for (const tx of block.transactions) {
+            if (!tx.isCoinbase) {
+                for (const inp of tx.inputs) {
+                    const key = `${inp.txHash}:${inp.outputIndex}`;
+                    const out = outputs.get(key);
+                    if (out) spending.push([out.address, tx.hash, key, out.amount]);
+                }
+            }
+            tx.outputs.forEach((out, idx) => {
+                outputs.set(`${tx.hash}:${idx}`, out);
+                funding.push([out.address, tx.hash, `${tx.hash}:${idx}`, out.amount]);
+            });
+        }
+        return {
+            block: block.hash, prev: block.previousHash, height: block.height,
+            txs: block.transactions.map(tx => tx.hash), funding, spending
+        };
+    }
+
+    connect(block, spent) {
+        const delta = TxIndex.delta(block, spent);
+        this.apply(delta);
+        if (this.onChange) this.onChange('connect', delta);
+    }
+
+    disconnect(block, spent) {
+        const delta = TxIndex.delta(block, spent);
+        this.revert(delta);
+        if (this.onChange) this.onChange('disconnect', delta);
+    }
+
+    reset() {
+        for (const map of [this.txs, this.history, this.balances, this.utxos]) map.clear();
+        this.best = null;
+        if (this.onChange) this.onChange('reset', null);
+    }
+
+    apply(delta) {
+        const entries = new Map(); // "address txHash" → history entry
+        const entry = (address, txHash) => {
+            const id = `${address} ${txHash}`;
+            if (!entries.has(id)) entries.set(id, { address, txHash, height: delta.height, received: 0, sent: 0 });
+            return entries.get(id);
+        };
+        for (const [address, txHash, key, amount] of delta.funding) {
+            this._credit(address, key, amount);
+            entry(address, txHash).received += amount;
+        }
+        for (const [address, txHash, key, amount] of delta.spending) {
+            this._debit(address, key, amount);
+            entry(address, txHash).sent += amount;
+        }
+        delta.txs.forEach((hash, index) => this.txs.set(hash, { block: delta.block, height: delta.height, index }));
+        // Entries were made in block order — funding first, then spending —
+        // so sort them back into transaction order
+        const order = new Map(delta.txs.map((hash, i) => [hash, i]));
+        const sorted = [...entries.values()].sort((a, b) => order.get(a.txHash) - order.get(b.txHash));
+        for (const { address, ...item } of sorted) {
+            if (!this.history.has(address)) this.history.set(address, []);
+            this.history.get(address).push(item);
+        }
+        this.best = delta.block;
+    }
+
+    // Undo `delta`, which must be the last one applied
+    revert(delta) {
+        for (const [address, , key, amount] of delta.spending) this._credit(address, key, amount);
+        for (const [address, , key, amount] of delta.funding) this._debit(address, key, amount);
+        for (const hash of delta.txs) this.txs.delete(hash);
+        for (const [address] of [...delta.funding, ...delta.spending]) {
+            const list = this.history.get(address);
+            if (!list) continue;
+            while (list.length && list[list.length - 1].height >= delta.height) list.pop();
+            if (!list.length) this.history.delete(address);
+        }
+        this.best = delta.prev;
+    }
+
+    getBalance(address) {
+        return this.balances.get(address) || 0;
+    }
+
+    getUTXOKeys(address) {
+        return this.utxos.get(address) || new Set();
+    }
+
+    getHistory(address) {
+        return this.history.get(address) || [];
+    }
+
+    _credit(address, key, amount) {
+        this.balances.set(address, this.getBalance(address) + amount);
+        if (!this.utxos.has(address)) this.utxos.set(address, new Set());
+        this.utxos.get(address).add(key);
+    }
+
+    _debit(address, key, amount) {
+        const balance = this.getBalance(address) - amount;
+        const keys = this.utxos.get(address);
+        keys?.delete(key);
+        if (keys && keys.size === 0) {
+            this.utxos.delete(address);
+            this.balances.delete(address);
+        } else {
+            this.balances.set(address, balance);
+        }
+    }
+}
+
+// ============================================================
+// §5: Blockchain — Network consensus, UTXO set, mempool
+// ============================================================
+class Blockchain {
+    // `retarget` false keeps every block at the genesis difficulty (regtest)
+    constructor(powLimit = POW_LIMIT_BITS, retarget = true) {
+        this.chain = [];
+        this.utxoSet = new Map();   // "txHash:outIdx" → {address, amount, height, coinbase}
+        this.mempool = new Mempool(this.utxoSet); // unconfirmed transactions
+        this.feeEstimator = new FeeEstimator();
+        this.blockIndex = new Map(); // hash → {block, height, chainWork, status} — every branch
+        this.bestHeader = null;     // most-work index entry, body or not — see getBestHeader
+        this.undoData = new Map();  // hash → [[utxoKey, utxo]] spent by that block
+        this.blockStore = null;     // optional disk store (network/blockstore.js) — see getBlock
+        this.chainState = null;     // optional saved UTXO set (network/chainstate.js), told of every change
+        this.txIndex = null;        // optional TxIndex — see setTxIndex
+        this.txCount = 0;           // transactions in the active chain
+        this.powLimit = powLimit;   // compact bits of the easiest allowed target
+        this.retarget = retarget;
+        this.onBlockMined = null;   // callback for UI
+        this.onMempoolUpdate = null;
+        this.onReorg = null;        // ({forkHeight, disconnected, connected, restoredTxs})
+        this.miningStats = { totalBlocks: 0, totalHashes: 0, totalTime: 0 };
+    }
+
+    initialize(genesisAddress) {
+        const coinbase = Transaction.createCoinbase(genesisAddress, MINING_REWARD * 100, 0);
+        const genesis = new Block(0, NULL_HASH, [coinbase], this.powLimit);
+        const result = genesis.mine();
+        this.appendTrusted(genesis);
+        this.miningStats.totalBlocks++;
+        this.miningStats.totalHashes += result.attempts;
+        this.miningStats.totalTime += result.time;
+        return genesis;
+    }
+
+    // Returns { replaced } — hashes of pooled transactions `tx` evicted
+    // by replace-by-fee, if any. `time` is when it first entered a pool
+    // (older than now for one saved across a restart).
+    addToMempool(tx, time = Date.now()) {
+        if (tx.isCoinbase) throw new Error('Invalid transaction: coinbase outside a block');
+        if (this.mempool.has(tx.hash)) throw new Error('Invalid transaction: already in mempool');
+        const conflicts = this.mempool.getConflicts(tx);
+        // Checked against the pool's view, so it may spend unconfirmed
+        // outputs — minus whatever it is trying to replace
+        const view = conflicts.length ? this.mempool.without(conflicts) : this.mempool;
+        const result = tx.validate(view, this.chain.length);
+        if (!result.valid) throw new Error(`Invalid transaction: ${result.reason}`);
+        const feeRate = result.fee / tx.getSize();
+        if (feeRate < this.mempool.minFeeRate) {
+            throw new Error(`Invalid transaction: fee rate ${feeRate.toFixed(2)}/B is below the minimum relay fee rate ${this.mempool.minFeeRate}/B`);
+        }
+        let replaced = [];
+        if (conflicts.length) {
+            const rbf = this.mempool.checkReplacement(tx, result.fee, conflicts);
+            if (!rbf.valid) throw new Error(`Invalid transaction: ${rbf.reason}`);
+            replaced = rbf.replaced;
+        }
+        const overLimit = this.mempool.checkLimits(tx);
+        if (overLimit) throw new Error(`Invalid transaction: ${overLimit}`);
+        for (const hash of conflicts) {
+            this.mempool.evict(hash, `replaced by ${tx.hash.substring(0, 16)}... paying a higher fee`, tx.hash);
+        }
+        this.mempool.add(tx, time);
+        this.mempool.expire();
+        this.mempool.trimToSize();
+        if (this.onMempoolUpdate) this.onMempoolUpdate(this.mempool);
+        if (!this.mempool.has(tx.hash)) {
+            const { reason } = this.mempool.dropped.find(d => d.hash === tx.hash);
+            throw new Error(`Invalid transaction: ${reason}`);
+        }
+        this.feeEstimator.track(tx.hash, feeRate, this.chain.length - 1);
+        return { replaced };
+    }
+
+    // Fee rate (units per byte) likely to confirm within `blocks`, never
+    // below what our mempool relays. `basis` says where it came from.
+    estimateFee(blocks = WALLET_CONF_TARGET) {
+        const estimate = this.feeEstimator.estimate(blocks, this.chain.length - 1);
+        const floor = this.mempool.minFeeRate;
+        if (estimate === null) return { blocks, feeRate: floor, basis: 'min-relay' };
+        return { blocks, feeRate: Math.max(estimate, floor), basis: 'history' };
+    }
+
+    // An unmined block on our tip paying `minerAddress`: the best-paying
+    // mempool transactions that fit under MAX_BLOCK_SIZE, parents ahead
+    // of children. Returns { block, fees, size }.
+    getBlockTemplate(minerAddress) {
+        const height = this.chain.length;
+        const prev = this.getTip();
+        // The coinbase encodes to the same size whatever it ends up paying
+        const placeholder = Transaction.createCoinbase(minerAddress, 0, height);
+        const budget = MAX_BLOCK_SIZE - HEADER_SIZE - 9 - placeholder.getSize();
+        // Only include transactions that still apply cleanly in order
+        const view = new UTXOView(this.utxoSet);
+        let fees = 0;
+        const selected = this.mempool.selectForBlock(budget).filter(tx => {
+            const result = tx.validate(view, height);
+            if (!result.valid) return false;
+            fees += result.fee;
+            view.apply(tx, height);
+            return true;
+        });
+        // §6: the miner collects the subsidy plus every fee in the block
+        const coinbase = Transaction.createCoinbase(
+            minerAddress, getBlockSubsidy(height) + fees, height
+        );
+        const block = new Block(height, prev.hash, [coinbase, ...selected], this.getNextBits(prev));
+        // Must come after the median time past, even if our clock is behind
+        block.timestamp = Math.max(block.timestamp, this.getMedianTimePast(prev) + 1);
+        return { block, fees, size: block.getSize() };
+    }
+
+    mineBlock(minerAddress) {
+        const { block } = this.getBlockTemplate(minerAddress);
+        const result = block.mine();
+        this._indexBlock(block);
+        this._connectBlock(block); // drops what it confirms or conflicts with
+        this.mempool.expire();
+        this.miningStats.totalBlocks++;
+        this.miningStats.totalHashes += result.attempts;
+        this.miningStats.totalTime += result.time;
+        if (this.onMempoolUpdate) this.onMempoolUpdate(this.mempool);
+        if (this.onBlockMined) this.onBlockMined(block);
+        return block;
+    }
+
+    // Header-only rules: link, height, timestamp and proof-of-work. Cheap
+    // enough to run on side-branch blocks before their transactions are
+    // looked at.
+    checkHeader(block, prev) {
+        const fail = (reason) => ({ valid: false, reason });
+        if (!prev || block.previousHash !== prev.hash) return fail('previous hash does not match');
+        if (block.height !== prev.height + 1) return fail(`height ${block.height}, expected ${prev.height + 1}`);
+        if (block.version !== BLOCK_VERSION) return fail(`unsupported block version ${block.version}`);
+        // Recompute the hash, then check it meets the PoW target
+        let hash;
+        try {
+            hash = block.computeHash();
+        } catch (e) {
+            return fail(`malformed header (${e.message})`);
+        }
+        if (hash !== block.hash) return fail('header hash mismatch');
+        // Time only moves forward (past the median of recent blocks) and
+        // never too far past our own clock
+        const medianTime = this.getMedianTimePast(prev);
+        if (!(block.timestamp > medianTime)) {
+            return fail(`timestamp ${block.timestamp} is not after median time past ${medianTime}`);
+        }
+        if (block.timestamp > Date.now() + MAX_FUTURE_DRIFT) {
+            // Not invalid for good: `future` marks it as one to retry once
+            // our clock catches up (it may be ours that is behind)
+            const ahead = Math.round((block.timestamp - Date.now()) / 1000);
+            return { ...fail(`timestamp ${ahead}s ahead of local time (max ${MAX_FUTURE_DRIFT / 1000}s)`), future: true };
+        }
+        const expected = this.getNextBits(prev);
+        if (block.bits !== expected) return fail(`bits ${block.bits?.toString(16)}, expected ${expected.toString(16)}`);
+        if (BigInt('0x' + block.hash) > compactToTarget(block.bits)) return fail('invalid PoW');
+        return { valid: true };
+    }
+
+    // §4: Target (compact bits) required of the block after `prev`.
+    // Every RETARGET_INTERVAL blocks, scale the target by how long the
+    // window actually took versus TARGET_BLOCK_TIME per block — clamped
+    // to 4x either way, and never easier than the proof-of-work limit.
+    getNextBits(prev) {
+        const height = prev.height + 1;
+        if (!this.retarget || height % RETARGET_INTERVAL !== 0) return prev.bits;
+        // The window's RETARGET_INTERVAL blocks are RETARGET_INTERVAL - 1
+        // block intervals apart, first to last
+        const first = this._getAncestor(prev, height - RETARGET_INTERVAL);
+        const expected = TARGET_BLOCK_TIME * (RETARGET_INTERVAL - 1);
+        const actual = Math.min(Math.max(prev.timestamp - first.timestamp, expected / 4), expected * 4);
+        const limit = compactToTarget(this.powLimit);
+        const target = compactToTarget(prev.bits) * BigInt(Math.round(actual)) / BigInt(expected);
+        return targetToCompact(target > limit ? limit : target);
+    }
+
+    // Median timestamp of `block` and the MEDIAN_TIME_SPAN - 1 blocks
+    // before it on its branch — a miner's clock can't drag it backwards
+    getMedianTimePast(block) {
+        const times = [block.timestamp];
+        let entry = this.blockIndex.get(block.previousHash);
+        while (entry && times.length < MEDIAN_TIME_SPAN) {
+            times.push(entry.block.timestamp);
+            entry = this.blockIndex.get(entry.previousHash);
+        }
+        times.sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+    }
+
+    // Difficulty as a multiple of the easiest target (1.0 = PoW limit)
+    getDifficulty(bits) {
+        const ratio = (compactToTarget(this.powLimit) << 16n) / compactToTarget(bits);
+        return Number(ratio) / 65536;
+    }
+
+    // Ancestor of `block` at `height`, following its own branch
+    _getAncestor(block, height) {
+        if (this.chain[block.height]?.hash === block.hash) return this.chain[height];
+        let entry = this.blockIndex.get(block.hash);
+        while (entry.height > height) entry = this.blockIndex.get(entry.previousHash);
+        return entry.block;
+    }
+
+    // Consensus rules for `block` on top of `prev`, checked against the
+    // UTXO set as it stood after `prev`. Never mutates `utxoSet`.
+    validateBlock(block, prev, utxoSet) {
+        const fail = (reason) => ({ valid: false, reason });
+        const header = this.checkHeader(block, prev);
+        if (!header.valid) return header;
+
+        const txs = block.transactions;
+        if (!Array.isArray(txs) || txs.length === 0) return fail('no transactions');
+        let size;
+        try {
+            size = block.getSize();
+        } catch (e) {
+            return fail(`malformed block (${e.message})`);
+        }
+        if (size > MAX_BLOCK_SIZE) return fail(`block is ${size} bytes (max ${MAX_BLOCK_SIZE})`);
+        if (Block.computeMerkleRoot(txs) !== block.merkleRoot) return fail('merkle mismatch');
+
+        const [coinbase, ...rest] = txs;
+        if (!coinbase.isCoinbase) return fail('first transaction is not a coinbase');
+        if (coinbase.inputs.length !== 1 || coinbase.inputs[0].outputIndex !== block.height) {
+            return fail('coinbase does not commit to block height');
+        }
+        const cbCheck = coinbase.validate(utxoSet, block.height);
+        if (!cbCheck.valid) return fail(`coinbase: ${cbCheck.reason}`);
+
+        // §5: every transaction checked against the UTXO set as of its
+        // position in the block — a second spend of an output fails here
+        const view = new UTXOView(utxoSet);
+        const seen = new Set([coinbase.hash]);
+        const spentInBlock = new Set();
+        let fees = 0;
+        for (const tx of rest) {
+            const id = `tx ${String(tx.hash).substring(0, 8)}...`;
+            if (tx.isCoinbase) return fail(`${id}: more than one coinbase`);
+            if (seen.has(tx.hash)) return fail(`${id}: duplicate transaction`);
+            seen.add(tx.hash);
+            for (const inp of tx.inputs || []) {
+                const key = `${inp.txHash}:${inp.outputIndex}`;
+                if (spentInBlock.has(key)) return fail(`${id}: double spend of ${key.substring(0, 8)}...:${inp.outputIndex} within block`);
+                spentInBlock.add(key);
+            }
+            const result = tx.validate(view, block.height);
+            if (!result.valid) return fail(`${id}: ${result.reason}`);
+            fees += result.fee;
+            view.apply(tx, block.height);
+        }
+
+        // §6: the coinbase may claim the subsidy plus fees, nothing more
+        const claimed = coinbase.outputs.reduce((s, o) => s + o.amount, 0);
+        const allowed = getBlockSubsidy(block.height) + fees;
+        if (claimed > allowed) return fail(`coinbase claims ${claimed}, allowed ${allowed}`);
+        return { valid: true, fees };
+    }
+
+    getTip() {
+        return this.chain[this.chain.length - 1];
+    }
+
+    getChainWork() {
+        return this.chain.length ? this.blockIndex.get(this.getTip().hash).chainWork : 0n;
+    }
+
+    // Append a block from our own storage (or the genesis) without
+    // re-validating it.
+    appendTrusted(block) {
+        this._indexBlock(block);
+        this._connectBlock(block);
+    }
+
+    // §5: Accept a block into the block index — on any branch — and
+    // switch to whichever branch carries the most cumulative work.
+    // Result status: 'connected' | 'reorg' | 'side-branch'.
+    // A block whose header came first (addHeader) fills in that entry;
+    // its parent's body must already be here.
+    addBlock(block) {
+        const known = this.blockIndex.get(block.hash);
+        if (known && known.status !== 'header') return { valid: false, known: true, reason: 'already have block' };
+        const parent = this.blockIndex.get(block.previousHash);
+        if (!parent) return { valid: false, orphan: true, reason: 'unknown parent block' };
+        if (parent.status === 'invalid') return { valid: false, reason: 'builds on an invalid block' };
+        if (parent.status === 'header') return { valid: false, orphan: true, reason: 'parent block not downloaded yet' };
+
+        if (!known) {
+            const header = this.checkHeader(block, parent.block);
+            if (!header.valid) return header;
+        }
+        // Once the header (and its proof-of-work) checks out, a body that
+        // doesn't match it is a corrupted copy, not an invalid block — the
+        // hash must stay free for the real one
+        if (!this._bodyMatchesHeader(block)) {
+            return { valid: false, mutated: true, reason: 'transactions do not match the header' };
+        }
+        let entry = known;
+        if (entry) {
+            entry.block = block;
+            entry.status = 'valid';
+        } else {
+            entry = this._indexBlock(block);
+        }
+        if (entry.chainWork <= this.getChainWork()) {
+            this._releaseSideBlock(entry);
+            return { valid: true, status: 'side-branch' };
+        }
+        return this._activateBranch(entry);
+    }
+
+    // Do `block`'s transactions, signatures included, hash to its merkle
+    // root? A repeated transaction never does: the last hash of an odd
+    // level is paired with itself, so [a, b, c] and [a, b, c, c] share a
+    // root, and only the first can be valid.
+    _bodyMatchesHeader(block) {
+        const txs = block.transactions;
+        if (!Array.isArray(txs) || !txs.length) return false;
+        if (new Set(txs.map(tx => tx.hash)).size !== txs.length) return false;
+        try {
+            return Block.computeMerkleRoot(txs) === block.merkleRoot;
+        } catch (e) {
+            return false; // a field the encoding can't carry
+        }
+    }
+
+    // Headers-first sync: index a header-only block, checked against its
+    // parent, before its transactions are fetched. The entry has status
+    // 'header' until addBlock brings the body.
+    addHeader(header) {
+        const known = this.blockIndex.get(header.hash);
+        if (known) {
+            if (known.status === 'invalid') return { valid: false, reason: 'known invalid block' };
+            return { valid: true, known: true, entry: known };
+        }
+        const parent = this.blockIndex.get(header.previousHash);
+        if (!parent) return { valid: false, orphan: true, reason: 'unknown parent block' };
+        if (parent.status === 'invalid') return { valid: false, reason: 'builds on an invalid block' };
+        const result = this.checkHeader(header, parent.block);
+        if (!result.valid) return result;
+        return { valid: true, entry: this._indexBlock(header, 'header') };
+    }
+
+    // The most-work entry in the block index that isn't known invalid,
+    // whether or not its body is here — what sync is heading for. After
+    // a block fails, this rescans, marking its descendants invalid too.
+    getBestHeader() {
+        if (!this.bestHeader) {
+            const entries = [...this.blockIndex.values()].sort((a, b) => a.height - b.height);
+            for (const entry of entries) {
+                if (this.blockIndex.get(entry.previousHash)?.status === 'invalid') entry.status = 'invalid';
+                if (entry.status === 'invalid') continue;
+                if (!this.bestHeader || entry.chainWork > this.bestHeader.chainWork) this.bestHeader = entry;
+            }
+        }
+        return this.bestHeader;
+    }
+
+    // Block locator: hashes back along `block`'s branch — one apart for
+    // the newest ten, then twice as far each step — ending at the
+    // genesis. The newest one a peer has on its chain is where ours fork.
+    getLocator(block = this.getTip()) {
+        const hashes = [];
+        let step = 1;
+        for (let height = block.height; height > 0; height -= step) {
+            block = this._getAncestor(block, height);
+            hashes.push(block.hash);
+            if (hashes.length >= 10) step *= 2;
+        }
+        hashes.push(this.chain[0].hash);
+        return hashes;
+    }
+
+    // Up to `max` active-chain blocks (header-only or whole) after the
+    // newest locator hash on our chain — after the genesis if none is
+    getHeaders(locator, max) {
+        let start = 1;
+        for (const hash of locator) {
+            const entry = this.blockIndex.get(hash);
+            if (entry && this.chain[entry.height]?.hash === hash) {
+                start = entry.height + 1;
+                break;
+            }
+        }
+        return this.chain.slice(start, start + max);
+    }
+
+    // Feed a run of blocks (e.g. a peer's chain) through addBlock,
+    // skipping the ones we already have
+    addBlocks(blocks) {
+        const rank = ['known', 'side-branch', 'connected', 'reorg'];
+        let status = 'known';
+        for (let i = 0; i < blocks.length; i++) {
+            const result = this.addBlock(blocks[i]);
+            if (result.known) continue;
+            if (!result.valid) return { ...result, block: i };
+            if (rank.indexOf(result.status) > rank.indexOf(status)) status = result.status;
+        }
+        return { valid: true, status };
+    }
+
+    // `status` — 'valid' (body here, or in the block store), 'header'
+    // (body not downloaded yet) or, once a check fails, 'invalid'
+    _indexBlock(block, status = 'valid') {
+        const parent = this.blockIndex.get(block.previousHash);
+        const entry = {
+            block,
+            hash: block.hash,
+            height: block.height,
+            previousHash: block.previousHash,
+            chainWork: (parent ? parent.chainWork : 0n) + Blockchain.blockWork(block),
+            status
+        };
+        this.blockIndex.set(block.hash, entry);
+        if (this.bestHeader && entry.chainWork > this.bestHeader.chainWork) this.bestHeader = entry;
+        return entry;
+    }
+
+    // Expected hashes needed to meet a block's target
+    static blockWork(block) {
+        return targetWork(compactToTarget(block.bits));
+    }
+
+    // Disconnect back to the fork point, then connect the new branch
+    // block by block. If any block fails, the old chain is restored.
+    _activateBranch(target) {
+        const branch = [];
+        let entry = target;
+        while (this.chain[entry.height]?.hash !== entry.hash) {
+            branch.unshift(entry);
+            entry = this.blockIndex.get(entry.previousHash);
+        }
+        const forkHeight = entry.height;
+        // Disconnecting needs each block's data, which a pruned store may have deleted
+        if (this.blockStore && forkHeight + 1 < this.blockStore.prunedHeight) {
+            return { valid: false, reason: `reorg back to height ${forkHeight} reaches pruned blocks`, pruned: true, hash: target.hash };
+        }
+
+        const disconnected = [];
+        while (this.chain.length - 1 > forkHeight) disconnected.unshift(this._disconnectTip());
+        // Their transactions go back to the pool first, so connecting the
+        // new branch drops the ones it confirms and evicts the ones it
+        // double-spends
+        const restoredTxs = disconnected.flatMap(b => b.transactions.filter(t => !t.isCoinbase));
+        for (const tx of restoredTxs) this.mempool.add(tx);
+
+        const connected = [];
+        for (const e of branch) {
+            const result = e.status === 'invalid'
+                ? { valid: false, reason: 'builds on an invalid block' }
+                : this.validateBlock(this._body(e.block), this.getTip(), this.utxoSet);
+            if (!result.valid) {
+                // (A timestamp ahead of our clock — if it went back since the
+                // header was checked — may pass later)
+                if (!result.future) e.status = 'invalid';
+                this.bestHeader = null;
+                while (this.chain.length - 1 > forkHeight) this._disconnectTip();
+                for (const b of disconnected) this._connectBlock(b);
+                for (const b of branch) this._releaseSideBlock(b);
+                return { valid: false, reason: result.reason, future: result.future, hash: e.hash };
+            }
+            this._connectBlock(e.block);
+            connected.push(e.block);
+        }
+
+        // Connecting only drops what the blocks confirm or conflict with
+        // (see Mempool.removeForBlock). After a reorg the whole pool is
+        // re-checked — outputs it spent may be gone, coinbases immature
+        // again — with survivors from the abandoned branch first.
+        if (disconnected.length) this._revalidateMempool(restoredTxs.filter(t => this.mempool.has(t.hash)));
+        else this.mempool.expire();
+        for (const b of disconnected) this._releaseSideBlock(this.blockIndex.get(b.hash));
+        if (this.onMempoolUpdate) this.onMempoolUpdate(this.mempool);
+
+        if (disconnected.length === 0) return { valid: true, status: 'connected' };
+        const event = {
+            forkHeight,
+            disconnected: disconnected.map(b => b.hash),
+            connected: connected.map(b => b.hash),
+            restoredTxs: restoredTxs.map(t => t.hash).filter(h => this.mempool.has(h))
+        };
+        if (this.onReorg) this.onReorg(event);
+        return { valid: true, status: 'reorg', ...event };
+    }
+
+    // `block` may be header-only if its body is in the block store
+    _connectBlock(block) {
+        const full = this._body(block);
+        const undo = this._processBlockUTXOs(full);
+        this.undoData.set(block.hash, undo);
+        if (this.blockStore) {
+            if (!this.blockStore.has(block.hash)) this.blockStore.putBlock(full);
+            if (!this.blockStore.hasUndo(block.hash)) this.blockStore.putUndo(block.hash, undo);
+            this.blockStore.prune(block.height - PRUNE_KEEP_BLOCKS + 1);
+        }
+        this.chain.push(block);
+        this.txCount += full.transactions.length;
+        if (this.chainState) {
+            const created = [];
+            for (const tx of full.transactions) {
+                tx.outputs.forEach((out, idx) => {
+                    const key = `${tx.hash}:${idx}`;
+                    if (this.utxoSet.has(key)) created.push([key, this.utxoSet.get(key)]);
+                });
+            }
+            this.chainState.update(this, created, undo);
+        }
+        if (this.txIndex) this.txIndex.connect(full, undo);
+        this.mempool.removeForBlock(full);
+        this.feeEstimator.processBlock(full, this.mempool);
+        this._releaseOld();
+    }
+
+    // Undo the tip block: drop the outputs it created, restore the ones it
+    // spent. Returns it whole.
+    _disconnectTip() {
+        const block = this._body(this.chain.pop());
+        const removed = [];
+        for (const tx of [...block.transactions].reverse()) {
+            tx.outputs.forEach((out, idx) => {
+                const key = `${tx.hash}:${idx}`;
+                if (this.utxoSet.has(key)) removed.push([key, this.utxoSet.get(key)]);
+                this.utxoSet.delete(key);
+            });
+        }
+        const undo = this._getUndo(block.hash);
+        for (const [key, utxo] of undo) this.utxoSet.set(key, utxo);
+        this.undoData.delete(block.hash);
+        this.txCount -= block.transactions.length;
+        if (this.chainState) this.chainState.update(this, undo, removed);
+        if (this.txIndex) this.txIndex.disconnect(block, undo);
+        return block;
+    }
+
+    // With a block store, only the newest MEMORY_BLOCKS keep their
+    // transactions and undo data in memory; the rest load on demand
+    _releaseOld() {
+        if (!this.blockStore) return;
+        const old = this.chain[this.chain.length - 1 - MEMORY_BLOCKS];
+        if (!old) return;
+        old.transactions = null;
+        this.undoData.delete(old.hash);
+    }
+
+    // With a block store, a block off the active chain is kept header-only
+    // too: its body is written there (once; a disconnected block already
+    // is) and _body reads it back for a reorg. An invalid one is dropped.
+    _releaseSideBlock(entry) {
+        if (!this.blockStore || !entry.block.transactions) return;
+        if (entry.status !== 'invalid' && !this.blockStore.has(entry.hash)) this.blockStore.putBlock(entry.block);
+        entry.block = Block.fromHeaderHex(entry.block.headerHex());
+    }
+
+    _body(block) {
+        return block.transactions ? block : this.blockStore.getBlock(block.hash);
+    }
+
+    _getUndo(hash) {
+        return this.undoData.get(hash) || this.blockStore?.getUndo(hash) || [];
+    }
+
+    // A whole block — transactions included — by active-chain height or
+    // by hash (any branch). Null if unknown.
+    getBlock(hashOrHeight) {
+        const block = typeof hashOrHeight === 'number'
+            ? this.chain[hashOrHeight]
+            : this.blockIndex.get(hashOrHeight)?.block;
+        return block ? this._body(block) : null;
+    }
+
+    // Startup from our own block store: index every stored block, then
+    // connect the branch with the most work. Blocks that were connected
+    // before — they have undo data — were validated then, so they are
+    // trusted here; side-branch blocks never connected are validated.
+    //
+    // `saved` — {best, txCount, utxos} from a chainstate — is the UTXO set
+    // as of block `best`. The chain up to there is taken as is, and only
+    // blocks past it are connected. Returns how many blocks were replayed.
+    loadFromStore(saved = null) {
+        for (const header of this.blockStore.headers()) {
+            if (this.blockIndex.has(header.hash)) continue;
+            // A parent lost to a crash strands its descendants
+            if (header.height > 0 && !this.blockIndex.has(header.previousHash)) continue;
+            this._indexBlock(header);
+        }
+        let best = null;
+        for (const entry of this.blockIndex.values()) {
+            if (!best || entry.chainWork > best.chainWork) best = entry;
+        }
+        const branchTo = (tip) => {
+            const branch = [];
+            for (let entry = tip; entry; entry = this.blockIndex.get(entry.previousHash)) branch.unshift(entry);
+            return branch;
+        };
+
+        const savedTip = saved && this.blockIndex.get(saved.best);
+        if (!savedTip) {
+            const branch = branchTo(best);
+            for (const entry of branch) {
+                if (!this.blockStore.hasUndo(entry.hash)) break;
+                this._connectBlock(entry.block);
+            }
+            if (this.chain.length < branch.length) this._activateBranch(best);
+            return this.chain.length;
+        }
+        this.chain = branchTo(savedTip).map(entry => entry.block);
+        this.txCount = saved.txCount;
+        this.utxoSet.clear();
+        for (const [key, utxo] of saved.utxos) this.utxoSet.set(key, utxo);
+        if (best.chainWork <= savedTip.chainWork) return 0;
+        // Blocks stored after the chainstate was last written (a crash in between)
+        const replay = branchTo(best).filter(entry => this.chain[entry.height]?.hash !== entry.hash).length;
+        this._activateBranch(best);
+        return replay;
+    }
+
+    // Re-check the pool against the new tip after a reorg, with the
+    // `restored` transactions from disconnected blocks ahead of it.
+    // Whatever no longer applies is dropped, with the reason logged — and
+    // so is anything spending its outputs. Signatures checked before come
+    // from the signature cache.
+    _revalidateMempool(restored = []) {
+        const height = this.chain.length;
+        // Restored txs first (they were in blocks), each only once
+        const restoredHashes = new Set(restored.map(tx => tx.hash));
+        const pending = [...restored, ...this.mempool.inBlockOrder().filter(tx => !restoredHashes.has(tx.hash))];
+        const times = new Map(this.mempool.times);
+        const dropped = new Set();
+        this.mempool.clear();
+        for (const tx of pending) {
+            if (this.mempool.has(tx.hash)) continue;
+            const [conflict] = this.mempool.getConflicts(tx);
+            const parent = tx.inputs.find(inp => dropped.has(inp.txHash));
+            let result;
+            if (conflict) result = { valid: false, reason: `double spend — conflicts with ${conflict.substring(0, 16)}...` };
+            else if (parent) result = { valid: false, reason: `spends output of dropped tx ${parent.txHash.substring(0, 16)}...` };
+            else {
+                result = tx.validate(this.mempool, height);
+                const overLimit = result.valid && this.mempool.checkLimits(tx);
+                if (overLimit) result = { valid: false, reason: overLimit };
+            }
+            if (!result.valid) {
+                dropped.add(tx.hash);
+                this.mempool.recordDrop(tx.hash, result.reason, conflict || null);
+                continue;
+            }
+            this.mempool.add(tx, times.get(tx.hash));
+        }
+        this.mempool.expire();
+        this.mempool.trimToSize();
+    }
+
+    // Apply a block to a UTXO set; returns the pre-existing outputs it
+    // spent (undo data). Outputs created and spent inside the same block
+    // never existed before it, so they are not part of the undo record.
+    _processBlockUTXOs(block, utxoSet = this.utxoSet) {
+        const spent = [];
+        const created = new Set();
+        for (const tx of block.transactions) {
+            // Remove spent UTXOs (inputs)
+            if (!tx.isCoinbase) {
+                for (const inp of tx.inputs) {
+                    const key = `${inp.txHash}:${inp.outputIndex}`;
+                    if (utxoSet.has(key) && !created.has(key)) spent.push([key, utxoSet.get(key)]);
+                    utxoSet.delete(key);
+                }
+            }
+            // Add new UTXOs (outputs)
+            tx.outputs.forEach((out, idx) => {
+                created.add(`${tx.hash}:${idx}`);
+                utxoSet.set(`${tx.hash}:${idx}`, {
+                    address: out.address,
+                    amount: out.amount,
+                    height: block.height,
+                    coinbase: tx.isCoinbase
+                });
+            });
+        }
+        return spent;
+    }
+
+    // Fee paid by each transaction of an active-chain block, worked out
+    // from the outputs it spent (its undo data) or created earlier in it
+    getBlockFees(block) {
+        const spent = new Map(this._getUndo(block.hash));
+        const byTx = {};
+        let total = 0;
+        for (const tx of this._body(block).transactions) {
+            tx.outputs.forEach((out, idx) => spent.set(`${tx.hash}:${idx}`, out));
+            if (tx.isCoinbase) continue;
+            const inputSum = tx.inputs.reduce((sum, inp) => {
+                const utxo = spent.get(`${inp.txHash}:${inp.outputIndex}`);
+                return sum + (utxo ? utxo.amount : 0);
+            }, 0);
+            byTx[tx.hash] = inputSum - tx.outputs.reduce((sum, o) => sum + o.amount, 0);
+            total += byTx[tx.hash];
+        }
+        return { total, byTx };
+    }
+
+    // Confirmed balance — a lookup with a tx index, a UTXO scan without
+    getBalance(address) {
+        if (this.txIndex) return this.txIndex.getBalance(address);
+        let balance = 0;
+        for (const [, utxo] of this.utxoSet) {
+            if (utxo.address === address) balance += utxo.amount;
+        }
+        return balance;
+    }
+
+    // With `withMempool`, as if every pooled transaction had confirmed:
+    // their outputs included (height null), the ones they spend left out
+    getUTXOs(address, withMempool = false) {
+        const result = [];
+        const add = (key, utxo) => {
+            if (utxo.address !== address) return;
+            if (withMempool && this.mempool.spentBy.has(key)) return;
+            const [txHash, outIdx] = key.split(':');
+            result.push({ txHash, outputIndex: parseInt(outIdx), ...utxo });
+        };
+        if (this.txIndex) {
+            for (const key of this.txIndex.getUTXOKeys(address)) add(key, this.utxoSet.get(key));
+        } else {
+            for (const [key, utxo] of this.utxoSet) add(key, utxo);
+        }
+        if (withMempool) for (const [key, utxo] of this.mempool.created) add(key, utxo);
+        return result;
+    }
+
+    // Turn on the tx index. `index` may hold state from an earlier run
+    // (see TxIndex.onChange): if it stopped at a block of our chain, it
+    // catches up from there, otherwise it is rebuilt from genesis.
+    // Returns how many blocks were indexed.
+    setTxIndex(index) {
+        let from = this.chain.findIndex(b => b.hash === index.best) + 1;
+        if (from === 0) index.reset();
+        for (let height = from; height < this.chain.length; height++) {
+            const block = this.getBlock(height);
+            index.connect(block, this._getUndo(block.hash));
+        }
+        this.txIndex = index;
+        return this.chain.length - from;
+    }
+
+    // A transaction by hash: pooled (0 confirmations) or, with the tx
+    // index, confirmed in the active chain. Null if not found.
+    getTransaction(hash) {
+        const pooled = this.mempool.txs.get(hash);
+        if (pooled) return { tx: pooled, block: null, height: null, confirmations: 0, fee: this.mempool.getFee(hash) };
+        const loc = this.txIndex?.txs.get(hash);
+        if (!loc) return null;
+        const block = this.getBlock(loc.block);
+        const tx = block.transactions[loc.index];
+        return {
+            tx, block: loc.block, height: loc.height,
+            confirmations: this.chain.length - loc.height,
+            fee: this.getBlockFees(block).byTx[hash] || 0
+        };
+    }
+
+    // An address's confirmed transactions, newest first, `limit` at a
+    // time from `offset`. Needs the tx index.
+    getAddressHistory(address, offset = 0, limit = 50) {
+        const all = this.txIndex.getHistory(address);
+        const end = Math.max(0, all.length - offset);
+        const page = all.slice(Math.max(0, end - limit), end).reverse();
+        return {
+            address,
+            total: all.length,
+            offset,
+            limit,
+            txs: page.map(item => ({ ...item, confirmations: this.chain.length - item.height }))
+        };
+    }
+
+    // Validate entire chain integrity — ours, or a candidate from a peer
+    validateChain(chain = this.chain) {
+        const { valid, block, reason } = this._replay(chain);
+        return valid ? { valid } : { valid, block, reason };
+    }
+
+    // Replay `blocks` from our genesis, validating each one against the
+    // UTXO set built so far
+    _replay(blocks) {
+        if (!blocks.length || blocks[0].hash !== this.chain[0]?.hash) {
+            return { valid: false, block: 0, reason: 'genesis mismatch' };
+        }
+        const utxoSet = new Map();
+        this._processBlockUTXOs(this._body(blocks[0]), utxoSet);
+        for (let i = 1; i < blocks.length; i++) {
+            const block = this._body(blocks[i]);
+            const result = this.validateBlock(block, blocks[i - 1], utxoSet);
+            if (!result.valid) return { valid: false, block: i, reason: result.reason };
+            this._processBlockUTXOs(block, utxoSet);
+        }
+        return { valid: true, utxoSet };
+    }
+
+    // §6: Issuance by the subsidy schedule up to the tip (an upper bound —
+    // a miner may claim less than it is owed)
+    getSupply() {
+        const height = this.chain.length - 1;
+        const genesisAllocation = this.getBlock(0).transactions[0].outputs.reduce((s, o) => s + o.amount, 0);
+        let mined = 0;
+        for (let era = 0; era * HALVING_INTERVAL <= height; era++) {
+            const first = Math.max(1, era * HALVING_INTERVAL);
+            const last = Math.min(height, (era + 1) * HALVING_INTERVAL - 1);
+            if (last >= first) mined += (last - first + 1) * getBlockSubsidy(first);
+        }
+        const issued = genesisAllocation + mined;
+        const nextHalvingHeight = (Math.floor(height / HALVING_INTERVAL) + 1) * HALVING_INTERVAL;
+        return {
+            height,
+            issued,
+            remaining: MAX_SUPPLY - issued,
+            maxSupply: MAX_SUPPLY,
+            genesisAllocation,
+            subsidy: getBlockSubsidy(height + 1),
+            nextHalvingHeight,
+            blocksUntilHalving: nextHalvingHeight - height
+        };
+    }
+
+    getStats() {
+        const nextBits = this.chain.length ? this.getNextBits(this.getTip()) : this.powLimit;
+        return {
+            blocks: this.chain.length,
+            transactions: this.txCount,
+            utxos: this.utxoSet.size,
+            mempool: this.mempool.size,
+            mempoolBytes: this.mempool.bytes,
+            bits: nextBits.toString(16).padStart(8, '0'),
+            difficulty: this.getDifficulty(nextBits),
+            nextRetarget: Math.ceil(this.chain.length / RETARGET_INTERVAL) * RETARGET_INTERVAL,
+            targetBlockTime: TARGET_BLOCK_TIME,
+            chainWork: this.getChainWork().toString(),
+            headers: this.chain.length ? this.getBestHeader().height + 1 : 0,
+            sideBranchBlocks: [...this.blockIndex.values()].filter(e => e.status !== 'header').length - this.chain.length,
+            blocksInMemory: [...this.blockIndex.values()].filter(e => e.block.transactions).length,
+            avgMineTime: this.miningStats.totalBlocks > 0
+                ? Math.round(this.miningStats.totalTime / this.miningStats.totalBlocks)
+                : 0,
+            totalHashes: this.miningStats.totalHashes,
+            hashRate: this.miningStats.totalTime > 0
+                ? Math.round(this.miningStats.totalHashes / (this.miningStats.totalTime / 1000))
+                : 0
+        };
+    }
+}
+
+// ============================================================
+// Wallet — Key management, balance, transaction creation
+// ============================================================
+class Wallet {
+    constructor(name, blockchain) {
+        this.name = name;
+        this.blockchain = blockchain;
+        this.privateKey = generatePrivateKey();
+        this.publicKey = derivePublicKey(this.privateKey);
         this.address = deriveAddress(this.publicKey);
-        WALLET_REGISTRY.set(this.publicKey, this);
     }
 
     getBalance() {
         return this.blockchain.getBalance(this.address);
     }
 
-    getUTXOs() {
-        return this.blockchain.getUTXOs(this.address);
+    getUTXOs(withMempool = false) {
+        return this.blockchain.getUTXOs(this.address, withMempool);
     }
 
-    // §9: Combining and splitting value
-    createTransaction(recipientAddress, amount) {
-        const utxos = this.getUTXOs();
+    // §9: Combining and splitting value. Whatever the inputs carry beyond
+    // amount + change is the fee, collected by the miner's coinbase.
+    // Amounts are integer units — convert with parseAmount at the edge.
+    // Change from our own unconfirmed transactions can be spent right
+    // away; coinbase outputs still maturing are left alone. Payments opt
+    // in to replace-by-fee unless `replaceable` is false. With no `fee`,
+    // it pays the estimated rate for confirming within `confTarget`
+    // blocks, for its final size.
+    createTransaction(recipientAddress, amount, fee = null, replaceable = true, confTarget = WALLET_CONF_TARGET) {
+        if (fee === null) {
+            const rate = this.blockchain.estimateFee(confTarget).feeRate;
+            for (let paid = 0; ;) {
+                const tx = this.createTransaction(recipientAddress, amount, paid, replaceable);
+                const required = Math.ceil(rate * tx.getSize());
+                if (paid >= required) return tx;
+                paid = required;
+            }
+        }
+        if (!isValidAmount(amount) || amount === 0) throw new Error(`Invalid amount: ${amount}`);
+        if (!isValidAmount(fee)) throw new Error(`Invalid fee: ${fee}`);
+        const spendHeight = this.blockchain.chain.length;
+        const all = this.getUTXOs(true);
+        const immature = all.filter(utxo => !isMature(utxo, spendHeight));
+        const utxos = all.filter(utxo => !immature.includes(utxo));
+        const sequence = replaceable ? SEQUENCE_RBF : SEQUENCE_FINAL;
         let inputSum = 0;
         const inputs = [];
-        // Select UTXOs to cover amount
+        const needed = amount + fee;
+        // Select UTXOs to cover amount + fee
         for (const utxo of utxos) {
-            inputs.push({ txHash: utxo.txHash, outputIndex: utxo.outputIndex });
+            inputs.push({ txHash: utxo.txHash, outputIndex: utxo.outputIndex, publicKey: this.publicKey, sequence });
             inputSum += utxo.amount;
-            if (inputSum >= amount) break;
+            if (inputSum >= needed) break;
         }
-        if (inputSum < amount) {
-            throw new Error(`Insufficient balance: have ${inputSum}, need ${amount}`);
+        if (inputSum < needed) {
+            const held = formatAmount(immature.reduce((sum, utxo) => sum + utxo.amount, 0));
+            const note = immature.length ? ` (not counting ${held} FPC in coinbase outputs not yet ${COINBASE_MATURITY} blocks deep)` : '';
+            throw new Error(`Insufficient balance: have ${formatAmount(inputSum)} FPC spendable${note}, need ${formatAmount(needed)} FPC`);
         }
         // Create outputs: payment + change
         const outputs = [{ address: recipientAddress, amount }];
-        const change = Math.round((inputSum - amount) * 100) / 100;
+        const change = inputSum - needed;
         if (change > 0) {
             outputs.push({ address: this.address, amount: change });
         }
@@ -449,8 +2490,52 @@ class Wallet {
         return tx;
     }
 
-    sendTo(recipientAddress, amount) {
-        const tx = this.createTransaction(recipientAddress, amount);
+    sendTo(recipientAddress, amount, fee = null, replaceable = true, confTarget = WALLET_CONF_TARGET) {
+        const tx = this.createTransaction(recipientAddress, amount, fee, replaceable, confTarget);
+        this.blockchain.addToMempool(tx);
+        return tx;
+    }
+
+    // Rebuild one of our pending payments paying `fee` instead: same
+    // inputs and recipients, the difference taken out of the change —
+    // topped up with more of our coins if the change can't cover it.
+    createReplacement(txHash, fee) {
+        const pool = this.blockchain.mempool;
+        const original = pool.txs.get(txHash);
+        if (!original) throw new Error(`Transaction ${String(txHash).substring(0, 16)}... is not in the mempool`);
+        if (!original.inputs.every(inp => inp.publicKey === this.publicKey)) throw new Error('Not a transaction from this wallet');
+        if (!original.signalsReplacement()) throw new Error('Transaction did not opt in to replace-by-fee');
+        if (!isValidAmount(fee)) throw new Error(`Invalid fee: ${fee}`);
+        const oldFee = pool.getFee(txHash);
+        if (fee <= oldFee) throw new Error(`New fee must exceed the current ${formatAmount(oldFee)} FPC`);
+
+        const last = original.outputs[original.outputs.length - 1];
+        const hasChange = original.outputs.length > 1 && last.address === this.address;
+        const payments = hasChange ? original.outputs.slice(0, -1) : original.outputs;
+        const inputs = original.inputs.map(inp => ({ ...inp }));
+        let inputSum = original.outputs.reduce((sum, out) => sum + out.amount, 0) + oldFee;
+        const needed = payments.reduce((sum, out) => sum + out.amount, 0) + fee;
+        // Outputs of the original and anything built on it vanish with it
+        const gone = new Set([txHash, ...pool.getDescendants(txHash)]);
+        const spendHeight = this.blockchain.chain.length;
+        for (const utxo of this.getUTXOs(true)) {
+            if (inputSum >= needed) break;
+            if (gone.has(utxo.txHash) || !isMature(utxo, spendHeight)) continue;
+            inputs.push({ txHash: utxo.txHash, outputIndex: utxo.outputIndex, publicKey: this.publicKey, sequence: SEQUENCE_RBF });
+            inputSum += utxo.amount;
+        }
+        if (inputSum < needed) {
+            throw new Error(`Insufficient balance: need ${formatAmount(needed - inputSum)} FPC more to pay a ${formatAmount(fee)} FPC fee`);
+        }
+        const outputs = payments.map(out => ({ ...out }));
+        if (inputSum > needed) outputs.push({ address: this.address, amount: inputSum - needed });
+        const tx = new Transaction(inputs, outputs);
+        tx.sign(this.privateKey);
+        return tx;
+    }
+
+    bumpFee(txHash, fee) {
+        const tx = this.createReplacement(txHash, fee);
         this.blockchain.addToMempool(tx);
         return tx;
     }
@@ -462,13 +2547,43 @@ class Wallet {
 const _exports = {
     sha256,
     MerkleTree,
+    hash256,
     Transaction,
     Block,
+    UTXOView,
+    Mempool,
+    FeeEstimator,
+    TxIndex,
     Blockchain,
     Wallet,
+    TX_VERSION,
+    BLOCK_VERSION,
+    SEQUENCE_FINAL,
+    SEQUENCE_RBF,
+    COIN,
     MINING_REWARD,
+    MAX_SUPPLY,
+    formatAmount,
+    parseAmount,
+    HALVING_INTERVAL,
+    getBlockSubsidy,
+    TARGET_BLOCK_TIME,
+    RETARGET_INTERVAL,
+    COINBASE_MATURITY,
+    MAX_FUTURE_DRIFT,
+    MEMPOOL_MAX_ANCESTORS,
+    MEMPOOL_MAX_DESCENDANTS,
+    MEMPOOL_MAX_SIZE,
+    MIN_RELAY_FEE_RATE,
+    MEMPOOL_EXPIRY,
+    FEE_MAX_TARGET,
+    WALLET_CONF_TARGET,
+    POW_LIMIT_BITS,
+    MAX_BLOCK_SIZE,
+    PRUNE_KEEP_BLOCKS,
+    compactToTarget,
+    targetToCompact,
     verifySignature,
-    WALLET_REGISTRY,
     generatePrivateKey,
     derivePublicKey,
     deriveAddress,
@@ -1,41 +1,64 @@
 /**
  * FlowPay Coin (FPC) — Genesis Block
- * 
+ *
  * Mined on: 2026-02-13T18:01:34.315Z
+ * Re-mined for the canonical binary encoding (double SHA-256 ids, same timestamp)
  * Message: "For Mom. For the family. Built from scratch."
  * Allocation: 1,000,000 FPC to Founder (b8c025bdeb9c2915c7d13a523d4a206937a4db1a)
  */
 
 const GENESIS = {
+    "version": 1,
     "height": 0,
     "timestamp": 1771005694054,
     "previousHash": "0000000000000000000000000000000000000000000000000000000000000000",
-    "hash": "000041d1864e338381728615daa0983460e14ccdf8563fc3d027582339e213f8",
-    "nonce": 51110,
-    "difficulty": 4,
-    "merkleRoot": "d4abd0752a74ac903835613dc382a29a41ca9235770f09a41ad42afacceafb23",
-    "miningTime": 260,
+    "hash": "0000c937bc91009727f7006d36ea9c1c8c7c9e9605258dda44b945aea55951d8",
+    "nonce": 79210,
+    "bits": 0x1f00ffff, // compact target ≈ 2^240 — the proof-of-work limit
+    "merkleRoot": "27ee97d308c5451ed414a1b8a3667cf1afc2e323b06d2528cdc821045f79649b",
+    "miningTime": 1718,
     "transaction": {
+        "version": 1,
         "inputs": [
             {
                 "txHash": "0000000000000000000000000000000000000000000000000000000000000000",
                 "outputIndex": 0,
-                "signature": "For Mom. For the family. Built from scratch."
+                "message": "For Mom. For the family. Built from scratch.",
+                "sequence": 4294967295
             }
         ],
         "outputs": [
             {
                 "address": "b8c025bdeb9c2915c7d13a523d4a206937a4db1a",
-                "amount": 1000000
+                "amount": 100000000000000 // 1,000,000 FPC in base units
             }
         ],
         "isCoinbase": true,
         "timestamp": 1771005694054,
-        "hash": "d4abd0752a74ac903835613dc382a29a41ca9235770f09a41ad42afacceafb23"
+        "hash": "27ee97d308c5451ed414a1b8a3667cf1afc2e323b06d2528cdc821045f79649b"
     }
 };
 
+// The same block in its raw wire encoding
+const GENESIS_HEX = '0100000000000000000000000000000000000000000000000000000000000000000000000000000027ee97d308c5451ed414a1b8a3667cf1afc2e323b06d2528cdc821045f79649b66502a589c010000ffff001f6a3501000101000000010000000000000000000000000000000000000000000000000000000000000000000000002c466f72204d6f6d2e20466f72207468652066616d696c792e204275696c742066726f6d20736372617463682effffffff0100407a10f35a0000b8c025bdeb9c2915c7d13a523d4a206937a4db1a66502a589c01000000';
+
 // Seed nodes for P2P discovery
 const SEED_NODES = [];
 
-module.exports = { GENESIS, SEED_NODES };
+// Testnet: the same rules and proof-of-work limit, its own genesis
+// ("FlowPay testnet") — coins with no value, for trying things out
+const TESTNET_GENESIS_HEX = '0100000000000000000000000000000000000000000000000000000000000000000000000000000051f631fd189d2980e1982a7c18a4ee10281f161a0a0a5e7a0493d34d4ef41f4b66502a589c010000ffff001fb39400000101000000010000000000000000000000000000000000000000000000000000000000000000000000000f466c6f7750617920746573746e6574ffffffff0100407a10f35a0000b8c025bdeb9c2915c7d13a523d4a206937a4db1a66502a589c01000000';
+
+// Regtest: a local chain for tests — near-zero proof of work
+// (bits 0x207fffff) and no difficulty retargeting
+const REGTEST_GENESIS_HEX = '0100000000000000000000000000000000000000000000000000000000000000000000000000000091e8af4e2292dca62518b2cd0771e2dd0b0dd70a4f08a0cb6a42bf46fc28185f66502a589c010000ffff7f20010000000101000000010000000000000000000000000000000000000000000000000000000000000000000000000f466c6f775061792072656774657374ffffffff0100407a10f35a0000b8c025bdeb9c2915c7d13a523d4a206937a4db1a66502a589c01000000';
+
+// Selected with --network. Each has its own default port and data
+// subdirectory, so nodes of different networks never share block files.
+const NETWORKS = {
+    mainnet: { genesisHex: GENESIS_HEX, port: 6001, dataSubdir: '', seeds: SEED_NODES, retarget: true },
+    testnet: { genesisHex: TESTNET_GENESIS_HEX, port: 16001, dataSubdir: 'testnet', seeds: [], retarget: true },
+    regtest: { genesisHex: REGTEST_GENESIS_HEX, port: 26001, dataSubdir: 'regtest', seeds: [], retarget: false }
+};
+
+module.exports = { GENESIS, GENESIS_HEX, SEED_NODES, NETWORKS };
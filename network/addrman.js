@@ -0,0 +1,132 @@
+/**
+ * FlowPay Coin (FPC) — Address Manager
+ *
+ * Every peer address this node has heard of — seeds, --peers, PEER_LIST
+ * gossip, what inbound peers advertise in their handshake — with when it
+ * was last seen and how connecting to it has gone. Kept in peers.json, so
+ * a restarted node dials the peers that worked last time rather than
+ * only the seeds.
+ */
+
+const fs = require('fs');
+
+const MAX_ADDRESSES = 1000;
+const RETRY_DELAY = 60 * 1000;                  // after a failed connect, doubling per failure in a row...
+const MAX_RETRY_DELAY = 60 * 60 * 1000;         // ...up to this
+const FORGET_AFTER = 7 * 24 * 60 * 60 * 1000;   // failing this long without a success: dropped
+const FORGET_FAILURES = 10;                     // (and at least this many failures in a row)
+
+class AddressManager {
+    constructor(file) {
+        this.file = file;
+        // address → {address, source, firstSeen, lastSeen, lastAttempt, lastSuccess, successes, failures, failStreak}
+        this.addrs = new Map();
+    }
+
+    // A WebSocket URL another node could dial
+    static isValid(address) {
+        if (typeof address !== 'string') return false;
+        try {
+            const url = new URL(address);
+            return (url.protocol === 'ws:' || url.protocol === 'wss:') && url.hostname !== '';
+        } catch {
+            return false;
+        }
+    }
+
+    get size() {
+        return this.addrs.size;
+    }
+
+    // Returns how many addresses were read. Throws on a corrupt file.
+    load() {
+        if (!fs.existsSync(this.file)) return 0;
+        const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        for (const entry of entries) {
+            if (AddressManager.isValid(entry.address)) this.addrs.set(entry.address, entry);
+        }
+        return this.addrs.size;
+    }
+
+    save() {
+        const tmp = this.file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    // `source` — where we heard of it: 'seed', 'gossip', 'inbound', ...
+    // False if it's invalid or already known.
+    add(address, source) {
+        if (!AddressManager.isValid(address) || this.addrs.has(address)) return false;
+        if (this.addrs.size >= MAX_ADDRESSES) this._evict();
+        const now = Date.now();
+        this.addrs.set(address, {
+            address, source, firstSeen: now, lastSeen: now,
+            lastAttempt: 0, lastSuccess: 0, successes: 0, failures: 0, failStreak: 0
+        });
+        return true;
+    }
+
+    // Heard from it, directly or through a connected peer
+    seen(address) {
+        const entry = this.addrs.get(address);
+        if (entry) entry.lastSeen = Date.now();
+    }
+
+    attempt(address) {
+        const entry = this.addrs.get(address);
+        if (entry) entry.lastAttempt = Date.now();
+    }
+
+    // Connected and completed a handshake
+    success(address) {
+        const entry = this.addrs.get(address);
+        if (!entry) return;
+        entry.lastSuccess = entry.lastSeen = Date.now();
+        entry.successes++;
+        entry.failStreak = 0;
+    }
+
+    failure(address) {
+        const entry = this.addrs.get(address);
+        if (!entry) return;
+        entry.failures++;
+        entry.failStreak++;
+        if (entry.failStreak >= FORGET_FAILURES && Date.now() - (entry.lastSuccess || entry.firstSeen) > FORGET_AFTER) {
+            this.addrs.delete(address);
+        }
+    }
+
+    // Up to `count` addresses to dial, none in `exclude`: ones that
+    // connected most recently first, then ones never tried, then ones
+    // still failing — each only once its retry delay has passed
+    select(count, exclude = new Set()) {
+        const now = Date.now();
+        return [...this.addrs.values()]
+            .filter(e => !exclude.has(e.address) && now - e.lastAttempt >= this._retryDelay(e))
+            .sort((a, b) => b.lastSuccess - a.lastSuccess || a.failStreak - b.failStreak)
+            .slice(0, Math.max(count, 0))
+            .map(e => e.address);
+    }
+
+    // Most recently seen first
+    list() {
+        return [...this.addrs.values()].sort((a, b) => b.lastSeen - a.lastSeen);
+    }
+
+    _retryDelay(entry) {
+        return entry.failStreak ? Math.min(RETRY_DELAY * 2 ** (entry.failStreak - 1), MAX_RETRY_DELAY) : 0;
+    }
+
+    // Make room: the address failing longest, else the one seen least recently
+    _evict() {
+        let worst = null;
+        for (const entry of this.addrs.values()) {
+            if (!worst || entry.failStreak > worst.failStreak
+                || (entry.failStreak === worst.failStreak && entry.lastSeen < worst.lastSeen)) worst = entry;
+        }
+        this.addrs.delete(worst.address);
+    }
+}
+
+module.exports = { AddressManager };
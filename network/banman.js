@@ -0,0 +1,81 @@
+/**
+ * FlowPay Coin (FPC) — Misbehavior and Bans
+ *
+ * Each protocol violation a peer commits is worth a number of points
+ * (MISBEHAVIOR). Points add up per connection; at BAN_THRESHOLD the
+ * peer is disconnected and its host — the IP it connected from, or the
+ * host name we dialed — banned for a while. Bans are kept in
+ * banned.json, so a restart doesn't let them back in.
+ */
+
+const fs = require('fs');
+
+const BAN_THRESHOLD = 100;
+const BAN_DURATION = 24 * 60 * 60 * 1000;
+
+const MISBEHAVIOR = {
+    'invalid-pow': 100,         // header doesn't meet its own target
+    'invalid-header': 100,      // any other header rule: link, bits, median time (not a time too far ahead)
+    'invalid-block': 100,       // block fails validation
+    'mutated-block': 100,       // body (signatures included) doesn't match its header
+    'message-too-large': 100,   // WebSocket message over MAX_MESSAGE_SIZE
+    'oversized-message': 20,    // more headers, hashes or locator entries than allowed
+    'malformed-message': 20,    // not JSON, or hex that doesn't decode
+    'unconnected-headers': 20,  // headers that don't build on anything we know
+    'unsolicited-headers': 20,  // HEADERS we never asked for
+    'unsolicited-block': 10,    // BLOCK we never asked for
+    'invalid-tx': 10,           // bad signature, or a key that doesn't own what it spends
+    'unsolicited-tx': 5         // TX we never asked for
+};
+
+class BanManager {
+    constructor(file) {
+        this.file = file;
+        this.bans = new Map(); // host → {host, reason, since, until}
+    }
+
+    // Returns how many bans are still in force. Throws on a corrupt file.
+    load() {
+        if (!fs.existsSync(this.file)) return 0;
+        const now = Date.now();
+        for (const ban of JSON.parse(fs.readFileSync(this.file, 'utf8'))) {
+            if (ban.until > now) this.bans.set(ban.host, ban);
+        }
+        return this.bans.size;
+    }
+
+    save() {
+        const tmp = this.file + '.tmp';
+        fs.writeFileSync(tmp, JSON.stringify(this.list(), null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    isBanned(host) {
+        const ban = this.bans.get(host);
+        if (!ban) return false;
+        if (ban.until > Date.now()) return true;
+        this.unban(host); // expired
+        return false;
+    }
+
+    ban(host, reason, duration = BAN_DURATION) {
+        const since = Date.now();
+        this.bans.set(host, { host, reason, since, until: since + duration });
+        this.save();
+    }
+
+    // False if `host` wasn't banned
+    unban(host) {
+        if (!this.bans.delete(host)) return false;
+        this.save();
+        return true;
+    }
+
+    // Bans in force, the soonest to expire first
+    list() {
+        const now = Date.now();
+        return [...this.bans.values()].filter(b => b.until > now).sort((a, b) => a.until - b.until);
+    }
+}
+
+module.exports = { BanManager, MISBEHAVIOR, BAN_THRESHOLD, BAN_DURATION };
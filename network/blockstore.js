@@ -0,0 +1,235 @@
+/**
+ * FlowPay Coin (FPC) — Block Storage
+ *
+ * Blocks are appended to numbered block files (blk00000.dat, ...) and
+ * never rewritten. Each record is a 4-byte marker, a 4-byte length and
+ * the block's canonical encoding. Undo data — the outputs a block
+ * spent, needed to disconnect it in a reorg — goes to matching rev
+ * files. An append-only index (index.log, one JSON entry per line)
+ * maps each block hash to its height, header and file position.
+ *
+ * Every record is fsync'd before the index line pointing at it, and
+ * the index line is fsync'd too. A crash mid-write leaves at worst
+ * unreferenced bytes at the end of a file, or a torn last index line,
+ * which is dropped on the next start.
+ *
+ * With a prune target, the oldest block files are deleted once they hold
+ * nothing the caller still needs and the rest would exceed the target.
+ * Their blocks keep their index entries — headers stay — but no data.
+ * Undo data (rev files) is never pruned.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Block } = require('../blockchain.js');
+
+const RECORD_MARKER = Buffer.from('FPCB', 'ascii');
+const MAX_FILE_SIZE = 128 * 1024 * 1024; // start a new blk/rev file past this
+const PRUNE_FILES = 8;                   // with pruning, files are a target/8 at most, so old ones can go
+
+class BlockStore {
+    // `pruneTarget` — bytes of block files to stay under, 0 to keep everything
+    constructor(dir, pruneTarget = 0) {
+        this.dir = dir;
+        this.pruneTarget = pruneTarget;
+        this.maxFileSize = pruneTarget ? Math.min(MAX_FILE_SIZE, Math.ceil(pruneTarget / PRUNE_FILES)) : MAX_FILE_SIZE;
+        this.blocks = new Map();    // hash → {height, header, file, offset, size}, or {height, header, pruned: true}
+        this.undo = new Map();      // hash → {file, offset, size}
+        this.order = [];            // block hashes in the order they were stored
+        this.files = { blk: 0, rev: 0 }; // file number each kind appends to
+        this.blkSizes = new Map();  // blk file number → bytes, for files not yet pruned
+        this.prunedHeight = 0;      // every block from here up still has its data (genesis always does)
+        this.readFds = new Map();   // file name → fd, opened on first read
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        this._loadIndex();
+        this.indexFd = fs.openSync(path.join(dir, 'index.log'), 'a');
+    }
+
+    get size() {
+        return this.blocks.size;
+    }
+
+    has(hash) {
+        return this.blocks.has(hash);
+    }
+
+    hasUndo(hash) {
+        return this.undo.has(hash);
+    }
+
+    isPruned(hash) {
+        return Boolean(this.blocks.get(hash)?.pruned);
+    }
+
+    // Header-only blocks, parents ahead of children (the order stored)
+    *headers() {
+        for (const hash of this.order) yield Block.fromHeaderHex(this.blocks.get(hash).header);
+    }
+
+    putBlock(block) {
+        const loc = this._append('blk', Buffer.from(block.serialize()));
+        const entry = { height: block.height, header: Buffer.from(block.serializeHeader()).toString('hex'), ...loc };
+        this._writeIndex({ type: 'block', hash: block.hash, ...entry });
+        if (!this.blocks.has(block.hash)) this.order.push(block.hash);
+        this.blocks.set(block.hash, entry);
+    }
+
+    // Null if unknown or pruned
+    getBlock(hash) {
+        const entry = this.blocks.get(hash);
+        return entry && !entry.pruned ? Block.fromHex(this._read('blk', entry).toString('hex')) : null;
+    }
+
+    // `undo` is the block's [[utxoKey, utxo]] list
+    putUndo(hash, undo) {
+        const loc = this._append('rev', Buffer.from(JSON.stringify(undo), 'utf8'));
+        this._writeIndex({ type: 'undo', hash, ...loc });
+        this.undo.set(hash, loc);
+    }
+
+    getUndo(hash) {
+        const entry = this.undo.get(hash);
+        return entry ? JSON.parse(this._read('rev', entry).toString('utf8')) : null;
+    }
+
+    // Delete the oldest block files while the rest exceed the prune
+    // target. A file goes only if all its blocks are below `belowHeight`;
+    // the genesis block is copied forward first. Returns the files deleted.
+    prune(belowHeight) {
+        const pruned = [];
+        if (!this.pruneTarget) return pruned;
+        let total = 0;
+        for (const size of this.blkSizes.values()) total += size;
+        // Never the file being appended to
+        for (const file of [...this.blkSizes.keys()].sort((a, b) => a - b)) {
+            if (total <= this.pruneTarget || file === this.files.blk) break;
+            const inFile = [...this.blocks].filter(([, entry]) => !entry.pruned && entry.file === file);
+            if (inFile.some(([, entry]) => entry.height > 0 && entry.height >= belowHeight)) break;
+            for (const [hash, entry] of inFile) {
+                if (entry.height === 0) {
+                    this.putBlock(this.getBlock(hash));
+                    continue;
+                }
+                this.blocks.set(hash, { height: entry.height, header: entry.header, pruned: true });
+                this.prunedHeight = Math.max(this.prunedHeight, entry.height + 1);
+            }
+            this._writeIndex({ type: 'prune', file });
+            const name = this._fileName('blk', file);
+            if (this.readFds.has(name)) {
+                fs.closeSync(this.readFds.get(name));
+                this.readFds.delete(name);
+            }
+            fs.rmSync(path.join(this.dir, name), { force: true });
+            total -= this.blkSizes.get(file);
+            this.blkSizes.delete(file);
+            pruned.push(file);
+        }
+        return pruned;
+    }
+
+    close() {
+        fs.closeSync(this.indexFd);
+        for (const fd of this.readFds.values()) fs.closeSync(fd);
+        this.readFds.clear();
+    }
+
+    _fileName(kind, num) {
+        return `${kind}${String(num).padStart(5, '0')}.dat`;
+    }
+
+    // Write one record at the end of the current `kind` file and fsync it
+    _append(kind, payload) {
+        const header = Buffer.alloc(8);
+        RECORD_MARKER.copy(header, 0);
+        header.writeUInt32LE(payload.length, 4);
+        let file = this.files[kind];
+        let filePath = path.join(this.dir, this._fileName(kind, file));
+        let offset = fs.existsSync(filePath) ? fs.statSync(filePath).size : 0;
+        if (offset > 0 && offset + header.length + payload.length > this.maxFileSize) {
+            file = ++this.files[kind];
+            filePath = path.join(this.dir, this._fileName(kind, file));
+            offset = 0;
+        }
+        const fd = fs.openSync(filePath, 'a');
+        try {
+            fs.writeSync(fd, Buffer.concat([header, payload]));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (kind === 'blk') this.blkSizes.set(file, offset + header.length + payload.length);
+        return { file, offset: offset + header.length, size: payload.length };
+    }
+
+    _read(kind, { file, offset, size }) {
+        const name = this._fileName(kind, file);
+        if (!this.readFds.has(name)) this.readFds.set(name, fs.openSync(path.join(this.dir, name), 'r'));
+        const buf = Buffer.alloc(size);
+        const read = fs.readSync(this.readFds.get(name), buf, 0, size, offset);
+        if (read !== size) throw new Error(`${name} truncated at offset ${offset}`);
+        return buf;
+    }
+
+    _writeIndex(entry) {
+        fs.writeSync(this.indexFd, JSON.stringify(entry) + '\n');
+        fs.fsyncSync(this.indexFd);
+    }
+
+    // Replay index.log. Entries pointing past the end of their file
+    // (data lost in a crash) are skipped; a torn last line is cut off
+    // so the next append starts clean. Blocks in pruned files keep
+    // their headers.
+    _loadIndex() {
+        const indexPath = path.join(this.dir, 'index.log');
+        if (!fs.existsSync(indexPath)) return;
+        const text = fs.readFileSync(indexPath, 'utf8');
+        const sizes = new Map();
+        const fileSize = (kind, num) => {
+            const name = this._fileName(kind, num);
+            if (!sizes.has(name)) {
+                const p = path.join(this.dir, name);
+                sizes.set(name, fs.existsSync(p) ? fs.statSync(p).size : 0);
+            }
+            return sizes.get(name);
+        };
+        const lines = text.split('\n');
+        lines.pop(); // whatever follows the last newline is a torn write
+        const entries = [];
+        let good = 0;
+        for (const line of lines) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                break;
+            }
+            good += Buffer.byteLength(line) + 1;
+        }
+        if (good < Buffer.byteLength(text)) fs.truncateSync(indexPath, good);
+
+        const prunedFiles = new Set(entries.filter(e => e.type === 'prune').map(e => e.file));
+        for (const entry of entries) {
+            if (entry.type === 'prune') continue;
+            const kind = entry.type === 'block' ? 'blk' : 'rev';
+            const pruned = kind === 'blk' && prunedFiles.has(entry.file);
+            if (!pruned && entry.offset + entry.size > fileSize(kind, entry.file)) continue;
+            this.files[kind] = Math.max(this.files[kind], entry.file);
+            const loc = { file: entry.file, offset: entry.offset, size: entry.size };
+            if (entry.type === 'block') {
+                if (!this.blocks.has(entry.hash)) this.order.push(entry.hash);
+                if (pruned) {
+                    this.blocks.set(entry.hash, { height: entry.height, header: entry.header, pruned: true });
+                    if (entry.height > 0) this.prunedHeight = Math.max(this.prunedHeight, entry.height + 1);
+                } else {
+                    this.blocks.set(entry.hash, { height: entry.height, header: entry.header, ...loc });
+                }
+            } else {
+                this.undo.set(entry.hash, loc);
+            }
+        }
+        for (let file = 0; file <= this.files.blk; file++) {
+            if (!prunedFiles.has(file) && fileSize('blk', file) > 0) this.blkSizes.set(file, fileSize('blk', file));
+        }
+    }
+}
+
+module.exports = { BlockStore };
@@ -0,0 +1,151 @@
+/**
+ * FlowPay Coin (FPC) — Chainstate
+ *
+ * The UTXO set, saved so a restart doesn't replay every block. It lives
+ * in two files: a snapshot (utxos.json) of the whole set as of some
+ * block, and a change log (changes.log, one JSON entry per line) of
+ * what each block connected or disconnected since then added and spent.
+ * Every few blocks the snapshot is rewritten and the log emptied.
+ *
+ * Each snapshot and log entry records the best block it brings the set
+ * to and a hash of the whole set at that point. The hash is the sum,
+ * mod 2^256, of the SHA-256 of every UTXO, so it updates per change
+ * without rehashing the set; on load it is recomputed from scratch and
+ * compared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const FLUSH_INTERVAL = 100;        // log entries between snapshots
+const HASH_MOD = 1n << 256n;
+
+function utxoDigest(key, utxo) {
+    const line = `${key}|${utxo.address}|${utxo.amount}|${utxo.height}|${utxo.coinbase ? 1 : 0}`;
+    return BigInt('0x' + crypto.createHash('sha256').update(line).digest('hex'));
+}
+
+function hashUTXOs(entries) {
+    let sum = 0n;
+    for (const [key, utxo] of entries) sum += utxoDigest(key, utxo);
+    return sum % HASH_MOD;
+}
+
+const toHex = (hash) => hash.toString(16).padStart(64, '0');
+
+class ChainState {
+    constructor(dir) {
+        this.dir = dir;
+        this.snapshotPath = path.join(dir, 'utxos.json');
+        this.logPath = path.join(dir, 'changes.log');
+        this.best = null;           // hash of the block the saved set is at
+        this.hash = 0n;             // running hash of the saved set
+        this.logged = 0;            // entries in changes.log
+        this.logFd = null;          // changes.log, opened on first update
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // The saved set: {best, height, txCount, utxos} or null if there is
+    // none. Throws if the files are inconsistent or the hash is wrong.
+    load() {
+        if (!fs.existsSync(this.snapshotPath)) return null;
+        const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+        const state = { best: snapshot.best, height: snapshot.height, txCount: snapshot.txCount, utxos: new Map(snapshot.utxos) };
+        let recorded = snapshot.hash;
+        let logged = 0;
+        for (const entry of this._readLog()) {
+            if (entry.prev !== state.best) throw new Error(`change log does not follow block ${state.best.substring(0, 16)}...`);
+            for (const key of entry.spent) state.utxos.delete(key);
+            for (const [key, utxo] of entry.added) state.utxos.set(key, utxo);
+            Object.assign(state, { best: entry.best, height: entry.height, txCount: entry.txCount });
+            recorded = entry.hash;
+            logged++;
+        }
+        const hash = hashUTXOs(state.utxos);
+        if (toHex(hash) !== recorded) throw new Error(`UTXO set hash mismatch at height ${state.height}`);
+        this.best = state.best;
+        this.hash = hash;
+        this.logged = logged;
+        return state;
+    }
+
+    // Start tracking `blockchain`, whose UTXO set must already be loaded
+    attach(blockchain) {
+        if (this.best !== blockchain.getTip().hash) this.flush(blockchain);
+        blockchain.chainState = this;
+    }
+
+    // Called by the blockchain after each block it connects or
+    // disconnects, with the [[key, utxo]] lists that came and went
+    update(blockchain, added, spent) {
+        const tip = blockchain.getTip();
+        for (const [key, utxo] of added) this.hash = (this.hash + utxoDigest(key, utxo)) % HASH_MOD;
+        for (const [key, utxo] of spent) this.hash = (this.hash - utxoDigest(key, utxo) + HASH_MOD) % HASH_MOD;
+        const entry = {
+            prev: this.best, best: tip.hash, height: tip.height, txCount: blockchain.txCount,
+            hash: toHex(this.hash), added, spent: spent.map(([key]) => key)
+        };
+        if (this.logFd === null) this.logFd = fs.openSync(this.logPath, 'a');
+        fs.writeSync(this.logFd, JSON.stringify(entry) + '\n');
+        fs.fsyncSync(this.logFd);
+        this.best = tip.hash;
+        if (++this.logged >= FLUSH_INTERVAL) this.flush(blockchain);
+    }
+
+    // Write a fresh snapshot of `blockchain`'s UTXO set and empty the log.
+    // The log goes first: a crash before the new snapshot is in place
+    // leaves the old one, an earlier but consistent state.
+    flush(blockchain) {
+        const tip = blockchain.getTip();
+        this.hash = hashUTXOs(blockchain.utxoSet);
+        this._closeLog();
+        fs.writeFileSync(this.logPath, '');
+        const snapshot = {
+            best: tip.hash, height: tip.height, txCount: blockchain.txCount,
+            hash: toHex(this.hash), utxos: [...blockchain.utxoSet]
+        };
+        const tmp = this.snapshotPath + '.tmp';
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(snapshot));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, this.snapshotPath);
+        this.best = tip.hash;
+        this.logged = 0;
+    }
+
+    close() {
+        this._closeLog();
+    }
+
+    _closeLog() {
+        if (this.logFd !== null) fs.closeSync(this.logFd);
+        this.logFd = null;
+    }
+
+    // Log entries in order; a torn last line (crash mid-write) is cut off
+    _readLog() {
+        if (!fs.existsSync(this.logPath)) return [];
+        const text = fs.readFileSync(this.logPath, 'utf8');
+        const lines = text.split('\n');
+        lines.pop();
+        const entries = [];
+        let good = 0;
+        for (const line of lines) {
+            try {
+                entries.push(JSON.parse(line));
+            } catch (e) {
+                break;
+            }
+            good += Buffer.byteLength(line) + 1;
+        }
+        if (good < Buffer.byteLength(text)) fs.truncateSync(this.logPath, good);
+        return entries;
+    }
+}
+
+module.exports = { ChainState };
@@ -0,0 +1,81 @@
+/**
+ * FlowPay Coin (FPC) — Compact Blocks
+ *
+ * A new block sent as its header plus a short id per transaction rather
+ * than every transaction in full: peers already hold most of them in
+ * their mempool, from TX relay. The receiver fills in what it can from
+ * its own pool and asks for the rest by position.
+ *
+ *   CMPCT_BLOCK {header, shortIds, prefilled}
+ *       header     header hex
+ *       shortIds   SHORT_ID_LENGTH hex chars per transaction not
+ *                  prefilled, in block order
+ *       prefilled  [{index, tx}] sent whole (raw hex) — the coinbase,
+ *                  which no pool has
+ *   GET_BLOCK_TXN {hash, indexes}  → BLOCK_TXN {hash, txs [hex]}
+ *
+ * Short ids are salted with the block hash, so two transactions that
+ * collide in one block don't in the next.
+ */
+
+const { sha256, Block, Transaction } = require('../blockchain.js');
+
+const SHORT_ID_LENGTH = 12; // hex chars (6 bytes)
+
+function shortId(blockHash, txHash) {
+    return sha256(blockHash + txHash).substring(0, SHORT_ID_LENGTH);
+}
+
+function createCompactBlock(block) {
+    return {
+        header: block.headerHex(),
+        shortIds: block.transactions.slice(1).map(tx => shortId(block.hash, tx.hash)),
+        prefilled: [{ index: 0, tx: block.transactions[0].toHex() }]
+    };
+}
+
+// Returns {header, txs, missing}: `txs` in block order, null at each
+// index in `missing` — not in `mempool`, or its short id matches more
+// than one pooled transaction. Throws on a malformed message.
+function fillCompactBlock(data, mempool) {
+    if (typeof data?.header !== 'string' || !Array.isArray(data.shortIds) || !Array.isArray(data.prefilled)) {
+        throw new Error('needs header, shortIds and prefilled');
+    }
+    const header = Block.fromHeaderHex(data.header);
+    const txs = new Array(data.shortIds.length + data.prefilled.length);
+    for (const entry of data.prefilled) {
+        const index = entry?.index;
+        if (!Number.isInteger(index) || index < 0 || index >= txs.length || txs[index]) {
+            throw new Error(`bad prefilled index ${index}`);
+        }
+        txs[index] = Transaction.fromHex(entry.tx);
+    }
+
+    const pool = new Map(); // short id → tx, or null if more than one has it
+    for (const tx of mempool.txs.values()) {
+        const id = shortId(header.hash, tx.hash);
+        pool.set(id, pool.has(id) ? null : tx);
+    }
+    const missing = [];
+    let next = 0;
+    for (let i = 0; i < txs.length; i++) {
+        if (txs[i]) continue;
+        const id = data.shortIds[next++];
+        if (typeof id !== 'string' || id.length !== SHORT_ID_LENGTH) throw new Error(`bad short id ${id}`);
+        txs[i] = pool.get(id) || null;
+        if (!txs[i]) missing.push(i);
+    }
+    return { header, txs, missing };
+}
+
+// The whole block, or null if `txs` don't hash to the header's merkle
+// root — a short id matched the wrong pooled transaction, or one signed
+// differently
+function buildBlock(header, txs) {
+    if (Block.computeMerkleRoot(txs) !== header.merkleRoot) return null;
+    const block = Block.fromHeaderHex(header.headerHex());
+    block.transactions = txs;
+    return block;
+}
+
+module.exports = { createCompactBlock, fillCompactBlock, buildBlock, shortId, SHORT_ID_LENGTH };
@@ -77,12 +77,12 @@ async function mine() {
         try {
             const result = await fetchJSON('/mine', 'POST', {});
             blocksMined++;
-            log(`⛏️  Block #${result.height} | ${result.hash.substring(0, 20)}... | nonce: ${result.nonce} | ${result.time}ms | +${result.reward} FPC`);
+            log(`⛏️  Block #${result.height} | ${result.hash.substring(0, 20)}... | nonce: ${result.nonce} | ${result.time}ms | +${result.display.reward} FPC`);
 
             if (MAX_BLOCKS > 0 && blocksMined >= MAX_BLOCKS) {
                 log(`\n🎉 Mined ${blocksMined} blocks. Done!`);
                 const balance = await fetchJSON('/balance');
-                log(`💰 Balance: ${balance.balance} FPC`);
+                log(`💰 Balance: ${balance.display} FPC`);
                 break;
             }
 
@@ -100,7 +100,7 @@ process.on('SIGINT', async () => {
     log(`\n⏹️  Miner stopped. Mined ${blocksMined} blocks.`);
     try {
         const balance = await fetchJSON('/balance');
-        log(`💰 Final balance: ${balance.balance} FPC`);
+        log(`💰 Final balance: ${balance.display} FPC`);
     } catch { }
     process.exit(0);
 });
@@ -3,16 +3,25 @@
  * FlowPay P2P Node — The Satoshi Way
  * 
  * Runs a full FPC node with:
- *   - WebSocket P2P networking (peer discovery, block/tx propagation)
+ *   - WebSocket P2P networking (peer discovery, headers-first sync, block/tx relay)
  *   - REST API for wallets and external interaction
  *   - Built-in miner (optional)
- *   - Blockchain persistence to disk
+ *   - Append-only block files with an on-disk index, and a saved UTXO set
  * 
  * Usage:
  *   node network/node.js                    # Start node on default port
  *   node network/node.js --port 6001        # Custom port
+ *   node network/node.js --network testnet  # mainnet (default), testnet or regtest — each with its own
+ *                                           # genesis, default port and data subdirectory
  *   node network/node.js --peers ws://localhost:6001  # Connect to peer
  *   node network/node.js --mine             # Start mining immediately
+ *   node network/node.js --reindex          # Rebuild the saved UTXO set from block files
+ *   node network/node.js --txindex          # Index txs and addresses (GET /tx/:hash, /address/:addr/history)
+ *   node network/node.js --prune 550        # Keep block files under 550 MB (not with --txindex)
+ *   node network/node.js --external-address wss://node.example.com  # Address peers can reach us at
+ *                                           # (or EXTERNAL_ADDRESS=...; without it we don't advertise one)
+ *   node network/node.js --trust-proxy 127.0.0.1  # Behind a reverse proxy at that IP: take inbound peers'
+ *                                           # IPs from its X-Forwarded-For (or TRUST_PROXY=...)
  */
 
 const http = require('http');
@@ -20,10 +29,17 @@ const { WebSocketServer, WebSocket } = require('ws');
 const fs = require('fs');
 const path = require('path');
 const {
-    sha256, Blockchain, Wallet, Transaction, Block, MerkleTree,
-    MINING_REWARD, WALLET_REGISTRY, generatePrivateKey, derivePublicKey, deriveAddress
+    sha256, Blockchain, Wallet, Transaction, Block, MerkleTree, TxIndex,
+    getBlockSubsidy, formatAmount, COIN, RETARGET_INTERVAL, generatePrivateKey, derivePublicKey, deriveAddress,
+    MEMPOOL_MAX_SIZE, MIN_RELAY_FEE_RATE, MEMPOOL_EXPIRY, FEE_MAX_TARGET, WALLET_CONF_TARGET, PRUNE_KEEP_BLOCKS
 } = require('../blockchain.js');
-const { GENESIS, SEED_NODES } = require('../genesis.js');
+const { BlockStore } = require('./blockstore.js');
+const { ChainState } = require('./chainstate.js');
+const { TxIndexStore } = require('./txindex.js');
+const { SyncManager, SYNC_MSG, MAX_MESSAGE_SIZE } = require('./sync.js');
+const { AddressManager } = require('./addrman.js');
+const { BanManager, MISBEHAVIOR, BAN_THRESHOLD, BAN_DURATION } = require('./banman.js');
+const { getNetworkParams, checkHandshake, PROTOCOL_VERSION, SERVICES } = require('./params.js');
 
 // ============================================================
 // Configuration
@@ -34,21 +50,47 @@ const getArg = (flag, def) => {
     return idx !== -1 && args[idx + 1] ? args[idx + 1] : def;
 };
 
-const P2P_PORT = parseInt(getArg('--port', '6001'));
+// Which chain we're on — its genesis block, magic, default port and data
+// subdirectory (see network/params.js)
+const NETWORK_NAME = getArg('--network', process.env.NETWORK || 'mainnet');
+const NETWORK = getNetworkParams(NETWORK_NAME);
+if (!NETWORK) {
+    console.error(`❌ Unknown network "${NETWORK_NAME}" — use mainnet, testnet or regtest`);
+    process.exit(1);
+}
+
+const P2P_PORT = parseInt(getArg('--port', String(NETWORK.port)));
 const API_PORT = parseInt(getArg('--api', String(P2P_PORT + 1000)));
 const SEED_PEERS = [
-    ...SEED_NODES,
+    ...NETWORK.seeds,
     ...getArg('--peers', '').split(',').filter(Boolean)
 ];
 const AUTO_MINE = args.includes('--mine');
-const DATA_DIR = getArg('--data', path.join(process.cwd(), '.flowpay-data'));
-const DIFFICULTY = parseInt(getArg('--difficulty', '4'));
+const DATA_DIR = path.join(getArg('--data', path.join(process.cwd(), '.flowpay-data')), NETWORK.dataSubdir);
+const REINDEX = args.includes('--reindex');
+const TX_INDEX = args.includes('--txindex');
+const PRUNE_MB = parseFloat(getArg('--prune', '0')); // 0 = keep every block
+const EXTERNAL_ADDRESS = getArg('--external-address', process.env.EXTERNAL_ADDRESS || null);
+const TRUST_PROXY = getArg('--trust-proxy', process.env.TRUST_PROXY || null); // reverse proxy IP, if any
+const MAX_OUTBOUND = 8; // connections we open ourselves
+
+// Mempool policy — how much this node holds, the cheapest it relays,
+// and how long a transaction may wait for a block
+const MEMPOOL_POLICY = {
+    maxSize: parseFloat(getArg('--max-mempool', String(MEMPOOL_MAX_SIZE / 1e6))) * 1e6,        // MB
+    minFeeRate: parseFloat(getArg('--min-relay-fee', String(MIN_RELAY_FEE_RATE))),            // units/byte
+    expiry: parseFloat(getArg('--mempool-expiry', String(MEMPOOL_EXPIRY / 3600000))) * 3600000 // hours
+};
+// Refused at startup (initNode) unless a finite number, 0 or more
+const NUMERIC_OPTIONS = ['--prune', '--max-mempool', '--min-relay-fee', '--mempool-expiry'];
 
 // ============================================================
 // Blockchain + Wallet Init
 // ============================================================
-const blockchain = new Blockchain(DIFFICULTY);
+const blockchain = new Blockchain(NETWORK.powLimit, NETWORK.retarget);
+Object.assign(blockchain.mempool, MEMPOOL_POLICY);
 let nodeWallet;
+let txIndexStore = null;
 
 function initNode() {
     // Try to load persisted state
@@ -58,6 +100,18 @@ function initNode() {
     if (!fs.existsSync(DATA_DIR)) {
         fs.mkdirSync(DATA_DIR, { recursive: true });
     }
+    if (EXTERNAL_ADDRESS && !AddressManager.isValid(EXTERNAL_ADDRESS)) {
+        log(`❌ --external-address must be a ws:// or wss:// URL, got ${EXTERNAL_ADDRESS}`);
+        process.exit(1);
+    }
+    // parseFloat turns a typo into NaN, and a NaN limit never trips
+    for (const flag of NUMERIC_OPTIONS) {
+        const value = getArg(flag, null);
+        if (value !== null && !(Number.isFinite(Number(value)) && Number(value) >= 0)) {
+            log(`❌ ${flag} must be a non-negative number, got ${value}`);
+            process.exit(1);
+        }
+    }
 
     if (fs.existsSync(walletFile)) {
         const walletData = JSON.parse(fs.readFileSync(walletFile, 'utf8'));
@@ -66,7 +120,6 @@ function initNode() {
         nodeWallet.privateKey = walletData.privateKey;
         nodeWallet.publicKey = derivePublicKey(walletData.privateKey);
         nodeWallet.address = deriveAddress(nodeWallet.publicKey);
-        WALLET_REGISTRY.set(nodeWallet.publicKey, nodeWallet);
         log(`♻️  Loaded wallet: ${nodeWallet.address.substring(0, 12)}...`);
     } else {
         nodeWallet = new Wallet('Node', blockchain);
@@ -77,109 +130,167 @@ function initNode() {
         log(`🔑 New wallet: ${nodeWallet.address.substring(0, 12)}...`);
     }
 
-    if (fs.existsSync(chainFile)) {
+    // Blocks live in append-only files under blocks/; each block is
+    // written once, as it connects. The UTXO set as of the tip is kept
+    // under chainstate/, so startup doesn't replay the chain. With
+    // --prune, old block files are deleted as the chain grows.
+    if (PRUNE_MB && TX_INDEX) {
+        log('❌ --prune and --txindex can\'t be combined: the index needs every block');
+        process.exit(1);
+    }
+    blockchain.blockStore = new BlockStore(path.join(DATA_DIR, 'blocks'), PRUNE_MB * 1e6);
+    const chainState = new ChainState(path.join(DATA_DIR, 'chainstate'));
+    if (blockchain.blockStore.size > 0) {
+        let saved = null;
+        if (REINDEX) {
+            log('🔁 Reindexing: rebuilding the UTXO set from block files');
+        } else {
+            try {
+                saved = chainState.load();
+            } catch (e) {
+                // Checked against its stored hash — never trust a damaged set
+                log(`⚠️  Chainstate unusable (${e.message}), rebuilding from block files`);
+            }
+        }
+        if (!saved && blockchain.blockStore.prunedHeight > 0) {
+            // Rebuilding would replay blocks that are gone
+            log(`❌ Blocks below #${blockchain.blockStore.prunedHeight} were pruned, so the UTXO set can't be rebuilt — delete ${path.join(DATA_DIR, 'blocks')} and ${path.join(DATA_DIR, 'chainstate')} to sync again`);
+            process.exit(1);
+        }
+        const replayed = blockchain.loadFromStore(saved);
+        if (blockchain.chain[0]?.hash !== NETWORK.genesis.hash) {
+            log(`❌ Block store in ${DATA_DIR} holds a different chain (genesis mismatch) — use another --data dir`);
+            process.exit(1);
+        }
+        log(`♻️  Loaded chain: ${blockchain.chain.length} blocks, ${replayed} replayed`);
+    } else if (fs.existsSync(chainFile)) {
+        // chain.json from an older version: import it once, then set it aside
         try {
             const chainData = JSON.parse(fs.readFileSync(chainFile, 'utf8'));
             rebuildChainFromData(chainData);
-            log(`♻️  Loaded chain: ${blockchain.chain.length} blocks`);
+            fs.renameSync(chainFile, chainFile + '.imported');
+            log(`♻️  Imported chain.json into block files: ${blockchain.chain.length} blocks`);
         } catch (e) {
-            log(`⚠️  Chain file corrupt, loading canonical genesis`);
+            log(`⚠️  Chain file unusable (${e.message}), loading canonical genesis`);
             loadCanonicalGenesis();
         }
     } else {
         loadCanonicalGenesis();
-        log(`📦 Loaded canonical genesis: ${GENESIS.hash.substring(0, 16)}...`);
+        log(`📦 Loaded canonical genesis: ${NETWORK.genesis.hash.substring(0, 16)}...`);
+    }
+    chainState.attach(blockchain);
+    if (PRUNE_MB) {
+        log(`✂️  Pruning block files to ${PRUNE_MB} MB (the newest ${PRUNE_KEEP_BLOCKS} blocks are always kept)`);
+    }
+
+    // Optional tx/address index, kept in its own log under indexes/
+    if (TX_INDEX) {
+        txIndexStore = new TxIndexStore(path.join(DATA_DIR, 'indexes'));
+        const indexed = blockchain.setTxIndex(txIndexStore.load(new TxIndex()));
+        log(`🗂️  Tx index: ${blockchain.txIndex.txs.size} txs${indexed ? `, ${indexed} blocks indexed now` : ''}`);
     }
 
-    saveChain();
+    // Re-check the saved mempool against the chain we just loaded
+    loadMempool();
+
+    // Peers we've known before — outbound connections are picked from these
+    try {
+        const known = addrman.load();
+        log(`📒 Peer database: ${known} known addresses`);
+    } catch (e) {
+        log(`⚠️  Couldn't read ${addrman.file} (${e.message}) — starting from the seed nodes`);
+    }
+
+    // Hosts banned for misbehaving stay banned across restarts
+    try {
+        const banned = banman.load();
+        if (banned > 0) log(`🚫 Ban list: ${banned} hosts banned`);
+    } catch (e) {
+        log(`⚠️  Couldn't read ${banman.file} (${e.message}) — starting with no bans`);
+    }
 }
 
 function rebuildChainFromData(data) {
-    // Reconstruct the chain from serialized data
-    for (const blockData of data) {
-        const txs = blockData.transactions.map(txd => {
-            const tx = new Transaction(txd.inputs, txd.outputs, txd.isCoinbase);
-            tx.timestamp = txd.timestamp;
-            tx.hash = txd.hash;
-            tx.signatures = txd.signatures || [];
-            return tx;
-        });
-        const block = new Block(blockData.height, blockData.previousHash, txs, blockData.difficulty);
-        block.timestamp = blockData.timestamp;
-        block.merkleRoot = blockData.merkleRoot;
-        block.nonce = blockData.nonce;
-        block.hash = blockData.hash;
-        block.miningTime = blockData.miningTime || 0;
-        blockchain.chain.push(block);
-        blockchain._processBlockUTXOs(block);
+    // Reconstruct the chain from each block's raw hex encoding
+    const blocks = data.map(hex => Block.fromHex(hex));
+    // Data from an older, incompatible chain (e.g. a different genesis header)
+    if (blocks[0]?.hash !== NETWORK.genesis.hash) throw new Error('genesis mismatch');
+    for (const block of blocks) {
+        blockchain.appendTrusted(block);
     }
 }
 
 function loadCanonicalGenesis() {
-    // Load the hardcoded genesis block — same for ALL FPC nodes
-    const g = GENESIS;
-    const tx = new Transaction(
-        g.transaction.inputs,
-        g.transaction.outputs,
-        g.transaction.isCoinbase
-    );
-    tx.timestamp = g.transaction.timestamp;
-    tx.hash = g.transaction.hash;
-    tx.signatures = g.transaction.signatures || [];
-
-    const block = new Block(g.height, g.previousHash, [tx], g.difficulty);
-    block.timestamp = g.timestamp;
-    block.merkleRoot = g.merkleRoot;
-    block.nonce = g.nonce;
-    block.hash = g.hash;
-    block.miningTime = g.miningTime;
-
-    blockchain.chain.push(block);
-    blockchain._processBlockUTXOs(block);
+    // Load the hardcoded genesis block — same bytes on ALL FPC nodes of this network
+    const block = Block.fromHex(NETWORK.genesisHex);
+    blockchain.appendTrusted(block);
 }
 
-function saveChain() {
-    const chainFile = path.join(DATA_DIR, 'chain.json');
-    const data = blockchain.chain.map(block => ({
-        height: block.height,
-        previousHash: block.previousHash,
-        timestamp: block.timestamp,
-        merkleRoot: block.merkleRoot,
-        nonce: block.nonce,
-        hash: block.hash,
-        difficulty: block.difficulty,
-        miningTime: block.miningTime,
-        transactions: block.transactions.map(tx => ({
-            inputs: tx.inputs,
-            outputs: tx.outputs,
-            signatures: tx.signatures,
-            isCoinbase: tx.isCoinbase,
-            timestamp: tx.timestamp,
-            hash: tx.hash
-        }))
+function loadMempool() {
+    const mempoolFile = path.join(DATA_DIR, 'mempool.json');
+    if (!fs.existsSync(mempoolFile)) return;
+    let kept = 0;
+    let dropped = 0;
+    try {
+        // Saved parents-first, each with the time it entered the pool
+        const saved = JSON.parse(fs.readFileSync(mempoolFile, 'utf8'));
+        for (const { hex, time } of saved) {
+            try {
+                blockchain.addToMempool(Transaction.fromHex(hex), time);
+                kept++;
+            } catch (e) {
+                dropped++;
+            }
+        }
+    } catch (e) {
+        log(`⚠️  Mempool file unusable (${e.message}), starting empty`);
+        return;
+    }
+    log(`♻️  Loaded mempool: ${kept} txs${dropped ? `, ${dropped} no longer valid` : ''}`);
+}
+
+function saveMempool() {
+    // Parents ahead of children, so reloading can re-add them in order
+    const pool = blockchain.mempool;
+    const data = pool.inBlockOrder().map(tx => ({
+        hex: tx.toHex(),
+        time: pool.getTime(tx.hash)
     }));
-    fs.writeFileSync(chainFile, JSON.stringify(data, null, 2));
+    fs.writeFileSync(path.join(DATA_DIR, 'mempool.json'), JSON.stringify(data, null, 2));
 }
 
 // ============================================================
 // P2P Network — WebSocket Peer-to-Peer
 // ============================================================
-const peers = new Map(); // ws → { address, lastSeen }
+const peers = new Map(); // ws → { address, remote, host, inbound, lastSeen, score, ... }
+
+// Every peer address we know of, with connection stats (peers.json)
+const addrman = new AddressManager(path.join(DATA_DIR, 'peers.json'));
 
-// Message types (the Bitcoin protocol, simplified)
+// Hosts banned for misbehaving, until their ban expires (banned.json)
+const banman = new BanManager(path.join(DATA_DIR, 'banned.json'));
+
+// Message types (the Bitcoin protocol, simplified). Headers-first sync
+// and relay — GET_HEADERS/HEADERS, INV/GET_DATA, BLOCK, TX, NOT_FOUND —
+// are handled by network/sync.js.
 const MSG = {
     HANDSHAKE: 'HANDSHAKE',
     PEER_LIST: 'PEER_LIST',
-    NEW_BLOCK: 'NEW_BLOCK',
-    NEW_TX: 'NEW_TX',
-    REQUEST_CHAIN: 'REQUEST_CHAIN',
-    CHAIN_RESPONSE: 'CHAIN_RESPONSE',
     PING: 'PING',
-    PONG: 'PONG'
+    PONG: 'PONG',
+    ...SYNC_MSG
 };
 
+const sync = new SyncManager(blockchain, sendTo, log, misbehaving);
+
+function sendTo(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ type, data }));
+    }
+}
+
 function broadcast(type, data, excludeWs = null) {
-    const msg = JSON.stringify({ type, data, sender: `ws://localhost:${P2P_PORT}` });
+    const msg = JSON.stringify({ type, data });
     for (const [ws] of peers) {
         if (ws !== excludeWs && ws.readyState === WebSocket.OPEN) {
             ws.send(msg);
@@ -188,167 +299,181 @@ function broadcast(type, data, excludeWs = null) {
 }
 
 function handleMessage(ws, raw) {
+    const peer = peers.get(ws);
+    if (!peer) return;
+
     let msg;
-    try { msg = JSON.parse(raw); } catch { return; }
+    try { msg = JSON.parse(raw); } catch { return misbehaving(ws, 'malformed-message', 'not JSON'); }
+    peer.lastSeen = Date.now();
+    if (peer.address) addrman.seen(peer.address);
+
+    // Until its handshake shows it's on our network and speaks our
+    // protocol, a peer gets no say in anything
+    if (msg.type !== MSG.HANDSHAKE && !peer.handshakeDone) return;
 
     switch (msg.type) {
         case MSG.HANDSHAKE: {
-            const existingPeer = peers.get(ws);
-            const alreadyHandshook = existingPeer && existingPeer.handshakeDone;
-            peers.set(ws, { address: msg.sender, lastSeen: Date.now(), chainLength: msg.data?.chainLength || 0, handshakeDone: true });
+            const alreadyHandshook = peer.handshakeDone;
+            const check = checkHandshake(msg.data, NETWORK);
+            if (!check.valid) {
+                if (peer.inbound) {
+                    // Reply with ours before hanging up, so the other side
+                    // can log the reason too
+                    sendTo(ws, MSG.HANDSHAKE, handshakeData());
+                } else {
+                    addrman.failure(peer.address);
+                }
+                log(`🔌 Disconnecting incompatible peer ${peer.address || peer.remote}: ${check.reason}`);
+                ws.close();
+                dropPeer(ws);
+                break;
+            }
+            // Outbound: reachable at the address we dialed. Inbound: at the
+            // address it advertises, if it advertises one.
+            const advertised = msg.data?.address;
+            if (peer.inbound && AddressManager.isValid(advertised) && advertised !== EXTERNAL_ADDRESS) {
+                peer.address = advertised;
+                addrman.add(advertised, 'inbound');
+            }
+            Object.assign(peer, {
+                chainLength: msg.data.chainLength || 0,
+                chainWork: msg.data.chainWork,
+                version: msg.data.version,
+                services: msg.data.services || 0, // SERVICES bits — what it can serve us
+                handshakeDone: true
+            });
+            if (!peer.inbound) addrman.success(peer.address);
             // Only reply with handshake if we haven't already (prevent loop)
             if (!alreadyHandshook) {
                 ws.send(JSON.stringify({
                     type: MSG.HANDSHAKE,
-                    sender: `ws://localhost:${P2P_PORT}`,
-                    data: { chainLength: blockchain.chain.length }
+                    data: handshakeData()
                 }));
-                log(`🤝 Peer connected: ${msg.sender} (chain: ${msg.data?.chainLength || '?'})`);
-            }
-            // If they have a longer chain, request it
-            if (msg.data?.chainLength > blockchain.chain.length) {
-                log(`📥 Peer has longer chain (${msg.data.chainLength} vs ${blockchain.chain.length}), requesting...`);
-                ws.send(JSON.stringify({ type: MSG.REQUEST_CHAIN, sender: `ws://localhost:${P2P_PORT}` }));
+                const from = peer.inbound ? `inbound from ${peer.remote}` : 'outbound';
+                log(`🤝 Peer connected: ${peer.address || 'no address'} (${from}, v${msg.data.version}, chain: ${msg.data.chainLength || '?'})`);
             }
+            // If their chain carries more work, fetch its headers, then
+            // the blocks (a pruned peer serves only the ones it still has)
+            sync.addPeer(ws, msg.data);
             break;
         }
 
-        case MSG.NEW_BLOCK:
-            handleNewBlock(msg.data, ws);
-            break;
-
-        case MSG.NEW_TX:
-            handleNewTx(msg.data);
-            break;
-
-        case MSG.REQUEST_CHAIN:
-            const chainData = blockchain.chain.map(block => serializeBlock(block));
-            ws.send(JSON.stringify({ type: MSG.CHAIN_RESPONSE, data: chainData, sender: `ws://localhost:${P2P_PORT}` }));
-            break;
-
-        case MSG.CHAIN_RESPONSE:
-            handleChainResponse(msg.data);
-            break;
-
         case MSG.PEER_LIST:
-            // Connect to any new peers
+            // Remember new addresses; connections are made from the
+            // address manager as outbound slots free up
             if (Array.isArray(msg.data)) {
-                for (const addr of msg.data) {
-                    if (addr !== `ws://localhost:${P2P_PORT}` && !isPeerConnected(addr)) {
-                        connectToPeer(addr);
-                    }
+                for (const addr of msg.data.slice(0, 1000)) {
+                    if (addr !== EXTERNAL_ADDRESS) addrman.add(addr, 'gossip');
                 }
+                fillOutbound();
             }
             break;
 
         case MSG.PING:
-            ws.send(JSON.stringify({ type: MSG.PONG, sender: `ws://localhost:${P2P_PORT}` }));
+            ws.send(JSON.stringify({ type: MSG.PONG }));
+            break;
+
+        default:
+            // Headers, inventory, blocks and transactions
+            sync.handleMessage(ws, msg);
             break;
     }
 }
 
+// JSON view of a block for the HTTP API. Peers and the chain file use
+// the raw hex encoding instead (block.toHex()).
 function serializeBlock(block) {
     return {
+        version: block.version,
         height: block.height,
         previousHash: block.previousHash,
         timestamp: block.timestamp,
         merkleRoot: block.merkleRoot,
         nonce: block.nonce,
         hash: block.hash,
-        difficulty: block.difficulty,
+        bits: block.bits,
         miningTime: block.miningTime,
-        transactions: block.transactions.map(tx => ({
-            inputs: tx.inputs,
-            outputs: tx.outputs,
-            signatures: tx.signatures,
-            isCoinbase: tx.isCoinbase,
-            timestamp: tx.timestamp,
-            hash: tx.hash
-        }))
+        transactions: block.transactions.map(tx => serializeTx(tx))
     };
 }
 
-function handleNewBlock(blockData, fromWs) {
-    // Validate the block
-    const lastBlock = blockchain.chain[blockchain.chain.length - 1];
-    if (blockData.previousHash !== lastBlock.hash) {
-        // Not building on our chain tip — might need chain sync
-        if (blockData.height > blockchain.chain.length) {
-            // They're ahead, request their full chain
-            fromWs.send(JSON.stringify({ type: MSG.REQUEST_CHAIN, sender: `ws://localhost:${P2P_PORT}` }));
-        }
-        return;
-    }
-    if (!blockData.hash.startsWith('0'.repeat(blockData.difficulty))) {
-        log(`❌ Rejected block #${blockData.height}: invalid PoW`);
-        return;
-    }
-
-    // Reconstruct and add the block
-    const txs = blockData.transactions.map(txd => {
-        const tx = new Transaction(txd.inputs, txd.outputs, txd.isCoinbase);
-        tx.timestamp = txd.timestamp;
-        tx.hash = txd.hash;
-        tx.signatures = txd.signatures || [];
-        return tx;
-    });
-    const block = new Block(blockData.height, blockData.previousHash, txs, blockData.difficulty);
-    block.timestamp = blockData.timestamp;
-    block.merkleRoot = blockData.merkleRoot;
-    block.nonce = blockData.nonce;
-    block.hash = blockData.hash;
-    block.miningTime = blockData.miningTime || 0;
-
-    blockchain.chain.push(block);
-    blockchain._processBlockUTXOs(block);
-    // Remove confirmed txs from mempool
-    const confirmedHashes = new Set(block.transactions.map(t => t.hash));
-    blockchain.mempool = blockchain.mempool.filter(t => !confirmedHashes.has(t.hash));
-
-    saveChain();
-    log(`✅ Block #${block.height} received | ${block.hash.substring(0, 16)}... | ${block.transactions.length} txs`);
-
-    // Propagate to other peers
-    broadcast(MSG.NEW_BLOCK, blockData, fromWs);
+function serializeTx(tx) {
+    return {
+        version: tx.version,
+        inputs: tx.inputs,
+        outputs: tx.outputs,
+        signatures: tx.signatures,
+        isCoinbase: tx.isCoinbase,
+        timestamp: tx.timestamp,
+        hash: tx.hash
+    };
 }
 
-function handleChainResponse(chainData) {
-    if (!Array.isArray(chainData) || chainData.length <= blockchain.chain.length) return;
-
-    log(`📥 Received chain of length ${chainData.length} (ours: ${blockchain.chain.length})`);
+function handshakeData() {
+    return {
+        magic: NETWORK.magic,                            // which chain — a peer on another is dropped
+        version: PROTOCOL_VERSION,
+        services: PRUNE_MB ? SERVICES.NETWORK_LIMITED : SERVICES.NETWORK, // pruned: no full history to serve...
+        address: EXTERNAL_ADDRESS,                       // null: not reachable / not advertised
+        chainLength: blockchain.chain.length,
+        chainWork: blockchain.getChainWork().toString(), // BigInt as decimal string
+        prunedHeight: blockchain.blockStore.prunedHeight // ...only blocks from this height up
+    };
+}
 
-    // Validate the incoming chain
-    const tempBlockchain = new Blockchain(DIFFICULTY);
+function handleNewBlock(hex) {
+    // Blocks submitted through POST /block/raw, as raw hex
+    let block;
     try {
-        rebuildChainFromData.call({ blockchain: tempBlockchain }, chainData);
-        // Overwrite our shorter chain
-        blockchain.chain = [];
-        blockchain.utxoSet = new Map();
-        rebuildChainFromData(chainData);
-        saveChain();
-        log(`🔄 Chain replaced: now ${blockchain.chain.length} blocks`);
+        block = Block.fromHex(hex);
     } catch (e) {
-        log(`❌ Invalid chain received: ${e.message}`);
+        log(`❌ Rejected block: malformed (${e.message})`);
+        return { valid: false, reason: `malformed block (${e.message})` };
     }
+
+    // Full consensus validation: header, Merkle root, every tx, coinbase.
+    // Blocks on other branches are kept in the block index and win if
+    // their branch ends up with more work. Accepted blocks are announced
+    // to peers.
+    return sync.acceptBlock(block);
 }
 
-function handleNewTx(txData) {
-    // Check if we already have it
-    const existing = blockchain.mempool.find(t => t.hash === txData.hash);
-    if (existing) return;
+// Reorg events — logged, and the latest kept for GET /reorgs
+const recentReorgs = [];
+blockchain.onReorg = (event) => {
+    recentReorgs.unshift({ ...event, time: Date.now() });
+    if (recentReorgs.length > 20) recentReorgs.pop();
+    log(`🔀 Reorg at height ${event.forkHeight}: ${event.disconnected.length} blocks disconnected, ${event.connected.length} connected, ${event.restoredTxs.length} txs returned to mempool`);
+};
 
-    const tx = new Transaction(txData.inputs, txData.outputs, txData.isCoinbase);
-    tx.timestamp = txData.timestamp;
-    tx.hash = txData.hash;
-    tx.signatures = txData.signatures || [];
+function dropPeer(ws) {
+    peers.delete(ws);
+    // Blocks we were waiting on from this peer get asked of others
+    sync.removePeer(ws);
+}
 
-    try {
-        blockchain.addToMempool(tx);
-        log(`📨 TX received: ${tx.hash.substring(0, 16)}... (${tx.outputs.map(o => o.amount + ' FPC').join(', ')})`);
-        broadcast(MSG.NEW_TX, txData);
-    } catch (e) {
-        log(`❌ TX rejected: ${e.message}`);
+function onSocketError(ws, error) {
+    // `ws` refuses messages over maxPayload and closes the connection
+    if (error.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') {
+        misbehaving(ws, 'message-too-large');
     }
+    dropPeer(ws);
+}
+
+// A peer broke a protocol rule: add the violation's points (see MISBEHAVIOR
+// in banman.js) to its score. At BAN_THRESHOLD it is disconnected and its
+// host banned, so it can't simply reconnect.
+function misbehaving(ws, violation, detail = '') {
+    const peer = peers.get(ws);
+    if (!peer) return;
+    peer.score += MISBEHAVIOR[violation];
+    log(`⚠️  Peer ${peer.address || peer.remote} misbehaving: ${violation}${detail ? ` (${detail})` : ''} — score ${peer.score}`);
+    if (peer.score < BAN_THRESHOLD) return;
+
+    banman.ban(peer.host, violation);
+    log(`🚫 Banned ${peer.host} for ${BAN_DURATION / 3600000}h: ${violation}`);
+    ws.terminate();
+    dropPeer(ws);
 }
 
 function isPeerConnected(address) {
@@ -359,30 +484,59 @@ function isPeerConnected(address) {
 }
 
 function connectToPeer(address) {
-    if (isPeerConnected(address)) return;
+    if (address === EXTERNAL_ADDRESS || isPeerConnected(address)) return;
     try {
-        const ws = new WebSocket(address);
+        const { host, hostname } = new URL(address);
+        if (banman.isBanned(hostname)) return;
+        addrman.attempt(address);
+        const ws = new WebSocket(address, { maxPayload: MAX_MESSAGE_SIZE });
+        // Listed while still connecting, so it isn't dialed twice
+        peers.set(ws, { address, remote: host, host: hostname, inbound: false, lastSeen: Date.now(), score: 0 });
+        let opened = false;
         ws.on('open', () => {
-            peers.set(ws, { address, lastSeen: Date.now() });
+            opened = true;
             ws.send(JSON.stringify({
                 type: MSG.HANDSHAKE,
-                sender: `ws://localhost:${P2P_PORT}`,
-                data: { chainLength: blockchain.chain.length }
+                data: handshakeData()
             }));
         });
         ws.on('message', (data) => handleMessage(ws, data.toString()));
         ws.on('close', () => {
-            peers.delete(ws);
+            dropPeer(ws);
             log(`📤 Peer disconnected: ${address}`);
         });
-        ws.on('error', () => {
-            peers.delete(ws);
+        ws.on('error', (error) => {
+            // Never got as far as opening — count it against the address
+            if (!opened) addrman.failure(address);
+            onSocketError(ws, error);
         });
     } catch (e) {
+        addrman.failure(address);
         log(`⚠️  Failed to connect to ${address}`);
     }
 }
 
+// Open connections to known addresses until MAX_OUTBOUND are ours —
+// ones that worked before first (see AddressManager.select)
+function fillOutbound() {
+    const outbound = [...peers.values()].filter(p => !p.inbound).length;
+    const connected = new Set([...peers.values()].map(p => p.address));
+    for (const address of addrman.select(MAX_OUTBOUND - outbound, connected)) {
+        connectToPeer(address);
+    }
+}
+
+// Where an inbound connection comes from: the socket's IP. Only when that
+// is our --trust-proxy do we believe the X-Forwarded-For header — anyone
+// else could put any address there. The proxy appends the client it saw
+// last, so that entry is the one to take.
+function remoteHost(req) {
+    const host = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    if (!TRUST_PROXY || host !== TRUST_PROXY) return host;
+    const forwarded = req.headers['x-forwarded-for']?.split(',').pop().trim();
+    return (forwarded || host).replace(/^::ffff:/, '');
+}
+
 // ============================================================
 // REST API — For wallets, explorers, and external tools
 // ============================================================
@@ -400,6 +554,37 @@ function startAPI() {
 
         // GET routes
         if (req.method === 'GET') {
+            // Routes with a parameter in the path
+            const txMatch = route.match(/^\/tx\/([0-9a-f]+)$/);
+            if (txMatch) {
+                // Pooled transactions are always found; confirmed ones need --txindex
+                const found = blockchain.getTransaction(txMatch[1]);
+                if (!found) {
+                    const hint = blockchain.txIndex ? '' : ' (confirmed transactions need the node started with --txindex)';
+                    return json(res, { error: `Transaction not found${hint}` }, 404);
+                }
+                const { tx, ...location } = found;
+                return json(res, { ...serializeTx(tx), ...location });
+            }
+            const historyMatch = route.match(/^\/address\/([0-9a-f]+)\/history$/);
+            if (historyMatch) {
+                if (!blockchain.txIndex) return json(res, { error: 'Address history needs the node started with --txindex' }, 400);
+                // Newest first; ?offset=N skips the N most recent, ?limit=N (max 500) per page
+                const offsetParam = url.searchParams.get('offset');
+                const limitParam = url.searchParams.get('limit');
+                const offset = offsetParam === null ? 0 : Number(offsetParam);
+                const limit = limitParam === null ? 50 : Number(limitParam);
+                if (!Number.isInteger(offset) || offset < 0) {
+                    return json(res, { error: 'offset must be a non-negative integer' }, 400);
+                }
+                if (!Number.isInteger(limit) || limit < 1 || limit > 500) {
+                    return json(res, { error: 'limit must be an integer from 1 to 500' }, 400);
+                }
+                const address = historyMatch[1];
+                const balance = blockchain.getBalance(address);
+                return json(res, { ...blockchain.getAddressHistory(address, offset, limit), balance, display: formatAmount(balance) });
+            }
+
             switch (route) {
                 case '/':
                     return json(res, {
@@ -407,26 +592,59 @@ function startAPI() {
                         version: '1.0.0',
                         chain: blockchain.chain.length,
                         peers: peers.size,
-                        mempool: blockchain.mempool.length,
+                        mempool: blockchain.mempool.size,
                         mining: isMining,
                         wallet: nodeWallet.address
                     });
 
                 case '/stats':
-                    return json(res, blockchain.getStats());
+                    return json(res, { network: NETWORK.name, ...blockchain.getStats(), sync: sync.getStats() });
+
+                case '/supply': {
+                    // Amounts are integer units; `display` has them as FPC strings
+                    const supply = blockchain.getSupply();
+                    return json(res, {
+                        ...supply,
+                        display: {
+                            issued: formatAmount(supply.issued),
+                            remaining: formatAmount(supply.remaining),
+                            maxSupply: formatAmount(supply.maxSupply),
+                            subsidy: formatAmount(supply.subsidy)
+                        }
+                    });
+                }
 
                 case '/chain':
-                    return json(res, blockchain.chain.map(b => serializeBlock(b)));
+                    // Pruned blocks appear as headers only (transactions null)
+                    return json(res, blockchain.chain.map((b, height) => {
+                        const block = blockchain.getBlock(height);
+                        return block ? serializeBlock(block) : { ...b, pruned: true };
+                    }));
 
                 case '/block': {
                     const height = parseInt(url.searchParams.get('height'));
-                    const block = blockchain.chain[height];
-                    return block ? json(res, serializeBlock(block)) : json(res, { error: 'Block not found' }, 404);
+                    const block = blockchain.getBlock(height);
+                    if (!block) return blockNotFound(res, height);
+                    // Fees come from the block's undo data (the outputs it spent)
+                    const fees = blockchain.getBlockFees(block);
+                    const data = serializeBlock(block);
+                    data.fees = fees.total;
+                    data.transactions.forEach(tx => tx.fee = fees.byTx[tx.hash] || 0);
+                    return json(res, data);
+                }
+
+                case '/block/raw': {
+                    // Canonical hex encoding, for tools outside this repo
+                    const height = parseInt(url.searchParams.get('height'));
+                    const block = blockchain.getBlock(height);
+                    if (!block) return blockNotFound(res, height);
+                    return json(res, { hash: block.hash, hex: block.toHex() });
                 }
 
                 case '/balance': {
                     const addr = url.searchParams.get('address') || nodeWallet.address;
-                    return json(res, { address: addr, balance: blockchain.getBalance(addr) });
+                    const balance = blockchain.getBalance(addr);
+                    return json(res, { address: addr, balance, display: formatAmount(balance) });
                 }
 
                 case '/utxos': {
@@ -434,23 +652,62 @@ function startAPI() {
                     return json(res, blockchain.getUTXOs(addr));
                 }
 
-                case '/mempool':
-                    return json(res, blockchain.mempool.map(tx => ({
+                case '/reorgs':
+                    return json(res, recentReorgs);
+
+                case '/mempool': {
+                    // In block order — parents ahead of the children spending them
+                    const pool = blockchain.mempool;
+                    return json(res, pool.inBlockOrder().map(tx => ({
                         hash: tx.hash,
                         inputs: tx.inputs,
                         outputs: tx.outputs,
-                        isCoinbase: tx.isCoinbase
+                        isCoinbase: tx.isCoinbase,
+                        fee: pool.getFee(tx.hash),
+                        replaceable: tx.signalsReplacement(),
+                        ancestors: pool.getAncestors(tx).length,
+                        descendants: pool.getDescendants(tx.hash).length
                     })));
+                }
+
+                case '/mempool/raw':
+                    return json(res, blockchain.mempool.toArray().map(tx => ({ hash: tx.hash, hex: tx.toHex() })));
+
+                case '/mempool/conflicts':
+                    // Transactions dropped from the mempool and why, most recent first
+                    return json(res, blockchain.mempool.dropped);
+
+                case '/fees/estimate': {
+                    // Fee rate in units per byte to confirm within ?blocks=N,
+                    // learned from how fast our mempool's transactions confirmed
+                    const param = url.searchParams.get('blocks');
+                    const blocks = param === null ? WALLET_CONF_TARGET : Number(param);
+                    if (!Number.isInteger(blocks) || blocks < 1 || blocks > FEE_MAX_TARGET) {
+                        return json(res, { error: `blocks must be an integer from 1 to ${FEE_MAX_TARGET}` }, 400);
+                    }
+                    return json(res, blockchain.estimateFee(blocks));
+                }
 
                 case '/peers':
-                    return json(res, Array.from(peers.values()).map(p => p.address));
+                    return json(res, Array.from(peers.values()).map(p => p.address || p.remote));
 
-                case '/wallet':
+                case '/peers/known':
+                    // Every address we know of, with last-seen and connection stats
+                    return json(res, addrman.list());
+
+                case '/peers/banned':
+                    // Hosts banned for misbehaving, the soonest to expire first
+                    return json(res, banman.list());
+
+                case '/wallet': {
+                    const balance = nodeWallet.getBalance();
                     return json(res, {
                         address: nodeWallet.address,
-                        balance: nodeWallet.getBalance(),
+                        balance,
+                        display: formatAmount(balance),
                         publicKey: nodeWallet.publicKey.substring(0, 16) + '...'
                     });
+                }
 
                 default:
                     return json(res, { error: 'Not found' }, 404);
@@ -470,32 +727,84 @@ function startAPI() {
                 switch (route) {
                     case '/tx': {
                         try {
-                            const tx = nodeWallet.sendTo(data.to, data.amount);
-                            broadcast(MSG.NEW_TX, {
-                                inputs: tx.inputs,
-                                outputs: tx.outputs,
-                                signatures: tx.signatures,
-                                isCoinbase: tx.isCoinbase,
-                                timestamp: tx.timestamp,
-                                hash: tx.hash
+                            // No fee given: the wallet pays the estimated rate for
+                            // confirming within `blocks` (default WALLET_CONF_TARGET)
+                            const tx = nodeWallet.sendTo(
+                                data.to, data.amount, data.fee ?? null,
+                                data.replaceable !== false, data.blocks ?? WALLET_CONF_TARGET
+                            );
+                            const fee = blockchain.mempool.getFee(tx.hash);
+                            sync.announceTx(tx);
+                            log(`📤 TX sent: ${tx.hash.substring(0, 16)}... → ${data.to.substring(0, 12)}... (${formatAmount(data.amount)} FPC, fee ${formatAmount(fee)} FPC)`);
+                            return json(res, {
+                                hash: tx.hash,
+                                status: 'mempool',
+                                amount: data.amount,
+                                display: formatAmount(data.amount),
+                                fee,
+                                hex: tx.toHex()
                             });
-                            log(`📤 TX sent: ${tx.hash.substring(0, 16)}... → ${data.to.substring(0, 12)}... (${data.amount} FPC)`);
-                            return json(res, { hash: tx.hash, status: 'mempool' });
                         } catch (e) {
                             return json(res, { error: e.message }, 400);
                         }
                     }
 
+                    case '/tx/bump': {
+                        // Re-send one of our pending payments with a higher fee: {"hash": "...", "fee": 20000}
+                        try {
+                            const tx = nodeWallet.createReplacement(data.hash, data.fee);
+                            const { replaced } = blockchain.addToMempool(tx);
+                            sync.announceTx(tx);
+                            log(`⏫ Fee bumped: ${String(data.hash).substring(0, 16)}... → ${tx.hash.substring(0, 16)}... (fee ${formatAmount(data.fee)} FPC, ${replaced.length} replaced)`);
+                            return json(res, {
+                                hash: tx.hash,
+                                status: 'mempool',
+                                replaced,
+                                fee: data.fee,
+                                display: formatAmount(data.fee),
+                                hex: tx.toHex()
+                            });
+                        } catch (e) {
+                            return json(res, { error: e.message }, 400);
+                        }
+                    }
+
+                    case '/tx/raw': {
+                        // A transaction built and signed elsewhere: {"hex": "01000000..."}
+                        try {
+                            const tx = Transaction.fromHex(data.hex);
+                            const { replaced } = blockchain.addToMempool(tx);
+                            sync.announceTx(tx);
+                            log(`📤 Raw TX accepted: ${tx.hash.substring(0, 16)}...`);
+                            return json(res, { hash: tx.hash, status: 'mempool', replaced });
+                        } catch (e) {
+                            return json(res, { error: e.message }, 400);
+                        }
+                    }
+
+                    case '/block/raw': {
+                        // A block mined elsewhere: {"hex": "01000000..."}
+                        const result = handleNewBlock(data.hex);
+                        if (!result.valid && !result.known) {
+                            return json(res, { error: result.reason || 'unknown parent' }, 400);
+                        }
+                        return json(res, { hash: result.hash, status: result.known ? 'known' : result.status });
+                    }
+
                     case '/mine': {
                         if (isMining) return json(res, { error: 'Already mining' }, 400);
                         const block = mineOneBlock();
+                        const reward = getBlockSubsidy(block.height);
+                        const fees = blockchain.getBlockFees(block).total;
                         return json(res, {
                             height: block.height,
                             hash: block.hash,
                             nonce: block.nonce,
                             time: block.miningTime,
                             txs: block.transactions.length,
-                            reward: MINING_REWARD
+                            reward,
+                            fees,
+                            display: { reward: formatAmount(reward), fees: formatAmount(fees) }
                         });
                     }
 
@@ -508,12 +817,23 @@ function startAPI() {
                         return json(res, { status: 'Mining stopped' });
 
                     case '/peers/add':
+                        if (data.address && AddressManager.isValid(data.address) && banman.isBanned(new URL(data.address).hostname)) {
+                            return json(res, { error: `${new URL(data.address).hostname} is banned — POST /peers/unban first` }, 403);
+                        }
                         if (data.address) {
                             connectToPeer(data.address);
                             return json(res, { status: `Connecting to ${data.address}` });
                         }
                         return json(res, { error: 'Missing address' }, 400);
 
+                    case '/peers/unban':
+                        if (!data.host) return json(res, { error: 'Missing host' }, 400);
+                        if (!banman.unban(data.host)) {
+                            return json(res, { error: `${data.host} is not banned` }, 404);
+                        }
+                        log(`✅ Unbanned ${data.host}`);
+                        return json(res, { host: data.host, unbanned: true });
+
                     default:
                         return json(res, { error: 'Not found' }, 404);
                 }
@@ -534,6 +854,12 @@ function json(res, data, status = 200) {
     res.end(JSON.stringify(data, null, 2));
 }
 
+// A height past our tip, or one whose block data was pruned
+function blockNotFound(res, height) {
+    if (!blockchain.chain[height]) return json(res, { error: 'Block not found' }, 404);
+    return json(res, { error: `Block #${height} has been pruned — this node keeps only recent blocks`, pruned: true }, 404);
+}
+
 // ============================================================
 // Mining
 // ============================================================
@@ -542,12 +868,11 @@ let miningInterval = null;
 
 function mineOneBlock() {
     const block = blockchain.mineBlock(nodeWallet.address);
-    saveChain();
     const balance = nodeWallet.getBalance();
-    log(`⛏️  Block #${block.height} mined | ${block.hash.substring(0, 16)}... | nonce: ${block.nonce} | ${block.miningTime}ms | balance: ${balance} FPC`);
+    log(`⛏️  Block #${block.height} mined | ${block.hash.substring(0, 16)}... | nonce: ${block.nonce} | ${block.miningTime}ms | balance: ${formatAmount(balance)} FPC`);
 
-    // Broadcast to peers
-    broadcast(MSG.NEW_BLOCK, serializeBlock(block));
+    // Announce to peers
+    sync.announceBlock(block);
     return block;
 }
 
@@ -596,21 +921,32 @@ function start() {
     initNode();
 
     // Start P2P WebSocket server
-    const wss = new WebSocketServer({ port: P2P_PORT });
-    wss.on('connection', (ws) => {
-        peers.set(ws, { address: 'incoming', lastSeen: Date.now() });
+    const wss = new WebSocketServer({ port: P2P_PORT, maxPayload: MAX_MESSAGE_SIZE });
+    wss.on('connection', (ws, req) => {
+        const host = remoteHost(req);
+        if (banman.isBanned(host)) {
+            ws.terminate();
+            return;
+        }
+        peers.set(ws, { address: null, remote: `${host}:${req.socket.remotePort}`, host, inbound: true, lastSeen: Date.now(), score: 0 });
         ws.on('message', (data) => handleMessage(ws, data.toString()));
-        ws.on('close', () => peers.delete(ws));
+        ws.on('close', () => dropPeer(ws));
+        ws.on('error', (error) => onSocketError(ws, error));
     });
     log(`📡 P2P server: ws://localhost:${P2P_PORT}`);
+    log(`🌐 Network: ${NETWORK.name} (magic ${NETWORK.magic}, protocol v${PROTOCOL_VERSION})`);
 
     // Start REST API
     startAPI();
 
-    // Connect to seed peers
+    // Connect to seed peers, then to known ones
     for (const peer of SEED_PEERS) {
+        addrman.add(peer, 'seed');
         connectToPeer(peer);
     }
+    fillOutbound();
+    log(EXTERNAL_ADDRESS ? `🌍 Advertised address: ${EXTERNAL_ADDRESS}` : `🌍 No --external-address set — peers won't be told how to reach us`);
+    sync.start();
 
     // Start mining if requested
     if (AUTO_MINE) {
@@ -620,27 +956,57 @@ function start() {
     // Peer health check
     setInterval(() => {
         broadcast(MSG.PING, {});
-        // Share peer list
-        const peerAddrs = Array.from(peers.values()).map(p => p.address).filter(a => a !== 'incoming');
+        // Share the addresses peers can dial — ours and our peers'
+        const peerAddrs = [EXTERNAL_ADDRESS, ...Array.from(peers.values()).map(p => p.address)].filter(Boolean);
         if (peerAddrs.length > 0) {
             broadcast(MSG.PEER_LIST, peerAddrs);
         }
+        // Replace lost connections, and keep the peer database current
+        fillOutbound();
+        addrman.save();
     }, 30000);
 
     // Show status
     log(`💰 Wallet: ${nodeWallet.address.substring(0, 20)}...`);
-    log(`💎 Balance: ${nodeWallet.getBalance()} FPC`);
+    log(`💎 Balance: ${formatAmount(nodeWallet.getBalance())} FPC`);
     log(`📦 Chain: ${blockchain.chain.length} blocks`);
-    log(`🎯 Difficulty: ${DIFFICULTY}`);
+    log(`🎯 Difficulty: ${blockchain.getStats().difficulty} (retargets every ${RETARGET_INTERVAL} blocks)`);
+    log(`📋 Mempool: ${blockchain.mempool.size} txs (max ${MEMPOOL_POLICY.maxSize / 1e6} MB, min relay fee ${MEMPOOL_POLICY.minFeeRate}/B, expiry ${MEMPOOL_POLICY.expiry / 3600000}h)`);
     log('');
     log(`Commands:`);
     log(`  POST /mine         — Mine one block`);
     log(`  POST /mine/start   — Start auto-mining`);
-    log(`  POST /tx           — Send FPC: {"to":"address","amount":10}`);
+    log(`  POST /tx           — Send FPC: {"to":"address","amount":1000000000,"fee":10000000}`);
+    log(`                       amounts in base units — 1 FPC = ${COIN}; without a fee, pays the estimate for "blocks" (default ${WALLET_CONF_TARGET})`);
+    log(`  GET  /fees/estimate — Fee rate to confirm within ?blocks=N`);
     log(`  GET  /stats        — Blockchain statistics`);
+    log(`  GET  /supply       — Issued and remaining FPC, next halving`);
     log(`  GET  /balance      — Check balance`);
     log(`  GET  /chain        — Full blockchain`);
+    log(`  POST /tx/bump      — Raise a pending payment's fee: {"hash":"...","fee":20000000}`);
+    log(`  GET  /mempool/conflicts — Dropped transactions and why`);
+    log(`  GET  /block/raw    — Raw hex block: ?height=N`);
+    log(`  GET  /tx/:hash     — A transaction and its confirmations (confirmed ones need --txindex)`);
+    log(`  GET  /address/:addr/history — Past transactions, newest first: ?offset=N&limit=N (needs --txindex)`);
+    log(`  POST /tx/raw       — Submit a signed raw tx: {"hex":"..."}`);
+    log(`  GET  /peers/known  — Known peer addresses with last-seen and connection stats`);
+    log(`  GET  /peers/banned — Hosts banned for misbehaving`);
+    log(`  POST /peers/unban  — Lift a ban: {"host":"1.2.3.4"}`);
     log('');
 }
 
+// Save the mempool on shutdown — it is reloaded and revalidated on start.
+// Blocks and the UTXO set need no saving: each change was fsync'd as it happened.
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveMempool();
+        blockchain.blockStore.close();
+        blockchain.chainState.close();
+        if (txIndexStore) txIndexStore.close();
+        addrman.save();
+        log(`💾 Saved ${blockchain.mempool.size} mempool txs to ${DATA_DIR}`);
+        process.exit(0);
+    });
+}
+
 start();
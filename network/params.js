@@ -0,0 +1,55 @@
+/**
+ * FlowPay Coin (FPC) — Network Parameters and Protocol Version
+ *
+ * Which chain a node is on (mainnet, testnet or regtest — see NETWORKS in
+ * genesis.js) and which protocol it speaks. Both go in the HANDSHAKE:
+ *
+ *   magic     the last 4 bytes of the genesis hash, as hex — different
+ *             genesis, different network (the leading bytes are all
+ *             proof-of-work zeros)
+ *   version   PROTOCOL_VERSION; peers below MIN_PROTOCOL_VERSION don't
+ *             understand our messages
+ *   services  SERVICES bits: what the node can serve
+ *
+ * A peer whose magic or version doesn't fit is disconnected before any
+ * other message is read from it.
+ */
+
+const { Block } = require('../blockchain.js');
+const { NETWORKS } = require('../genesis.js');
+
+const PROTOCOL_VERSION = 3;      // 2: headers-first sync (GET_HEADERS/HEADERS, INV/GET_DATA)
+const MIN_PROTOCOL_VERSION = 2;  // 1 sent whole chains (REQUEST_CHAIN, NEW_BLOCK)
+const COMPACT_BLOCKS_VERSION = 3; // new blocks as CMPCT_BLOCK (see network/compact.js)
+
+const SERVICES = {
+    NETWORK: 1,          // serves every block
+    NETWORK_LIMITED: 2   // serves blocks from its handshake's `prunedHeight` up (pruned)
+};
+
+// Null for an unknown network name
+function getNetworkParams(name) {
+    const network = NETWORKS[name];
+    if (!network) return null;
+    const genesis = Block.fromHex(network.genesisHex);
+    return {
+        ...network,
+        name,
+        genesis,
+        magic: genesis.hash.slice(-8),
+        powLimit: genesis.bits // genesis target is the PoW limit
+    };
+}
+
+// Returns {valid, reason}: can we talk to the peer that sent `data`?
+function checkHandshake(data, params) {
+    if (!Number.isInteger(data?.version) || data.version < MIN_PROTOCOL_VERSION) {
+        return { valid: false, reason: `protocol version ${data?.version ?? 'none'} is too old (need ${MIN_PROTOCOL_VERSION}+)` };
+    }
+    if (data.magic !== params.magic) {
+        return { valid: false, reason: `different network (magic ${data.magic}, ours ${params.magic} on ${params.name})` };
+    }
+    return { valid: true };
+}
+
+module.exports = { getNetworkParams, checkHandshake, PROTOCOL_VERSION, MIN_PROTOCOL_VERSION, COMPACT_BLOCKS_VERSION, SERVICES };
@@ -14,10 +14,17 @@ const { WebSocketServer, WebSocket } = require('ws');
 const fs = require('fs');
 const path = require('path');
 const {
-    sha256, Blockchain, Wallet, Transaction, Block,
-    MINING_REWARD, WALLET_REGISTRY, derivePublicKey, deriveAddress
+    sha256, Blockchain, Wallet, Transaction, Block, TxIndex,
+    getBlockSubsidy, formatAmount, derivePublicKey, deriveAddress,
+    MEMPOOL_MAX_SIZE, MIN_RELAY_FEE_RATE, MEMPOOL_EXPIRY, FEE_MAX_TARGET, WALLET_CONF_TARGET, PRUNE_KEEP_BLOCKS
 } = require('../blockchain.js');
-const { GENESIS, SEED_NODES } = require('../genesis.js');
+const { BlockStore } = require('./blockstore.js');
+const { ChainState } = require('./chainstate.js');
+const { TxIndexStore } = require('./txindex.js');
+const { SyncManager, SYNC_MSG, MAX_MESSAGE_SIZE } = require('./sync.js');
+const { AddressManager } = require('./addrman.js');
+const { BanManager, MISBEHAVIOR, BAN_THRESHOLD, BAN_DURATION } = require('./banman.js');
+const { getNetworkParams, checkHandshake, PROTOCOL_VERSION, SERVICES } = require('./params.js');
 
 // ============================================================
 // Configuration
@@ -28,27 +35,64 @@ const getArg = (flag, def) => {
     return idx !== -1 && args[idx + 1] ? args[idx + 1] : def;
 };
 
-// Use PORT env var (cloud) or default to 6001
-const PORT = process.env.PORT || parseInt(getArg('--port', '6001'));
+// mainnet, testnet or regtest: genesis, magic, default port and data subdirectory
+const NETWORK_NAME = getArg('--network', process.env.NETWORK || 'mainnet');
+const NETWORK = getNetworkParams(NETWORK_NAME);
+if (!NETWORK) {
+    console.error(`❌ Unknown network "${NETWORK_NAME}" — use mainnet, testnet or regtest`);
+    process.exit(1);
+}
+// Use PORT env var (cloud) or the network's default port
+const PORT = process.env.PORT || parseInt(getArg('--port', String(NETWORK.port)));
 const SEED_PEERS = [
-    ...SEED_NODES,
+    ...NETWORK.seeds,
     ...getArg('--peers', '').split(',').filter(Boolean)
 ];
 const AUTO_MINE = args.includes('--mine');
-const DATA_DIR = getArg('--data', path.join(process.cwd(), '.flowpay-data'));
-const DIFFICULTY = parseInt(getArg('--difficulty', '4'));
+const DATA_DIR = path.join(getArg('--data', path.join(process.cwd(), '.flowpay-data')), NETWORK.dataSubdir);
+const REINDEX = args.includes('--reindex'); // rebuild the saved UTXO set from block files
+const TX_INDEX = args.includes('--txindex'); // index txs and addresses: GET /tx/:hash, /address/:addr/history
+const PRUNE_MB = parseFloat(getArg('--prune', '0')); // keep block files under this many MB (0 = keep all)
+// Where other nodes can reach us (e.g. wss://node.example.com), advertised
+// in the handshake. Without it we don't advertise ourselves at all.
+const EXTERNAL_ADDRESS = getArg('--external-address', process.env.EXTERNAL_ADDRESS || null);
+// The reverse proxy in front of us, if any: only its X-Forwarded-For is believed
+const TRUST_PROXY = getArg('--trust-proxy', process.env.TRUST_PROXY || null);
+const MAX_OUTBOUND = 8; // peers we dial ourselves
+// Mempool policy: --max-mempool <MB>, --min-relay-fee <units/byte>, --mempool-expiry <hours>
+const MEMPOOL_POLICY = {
+    maxSize: parseFloat(getArg('--max-mempool', String(MEMPOOL_MAX_SIZE / 1e6))) * 1e6,
+    minFeeRate: parseFloat(getArg('--min-relay-fee', String(MIN_RELAY_FEE_RATE))),
+    expiry: parseFloat(getArg('--mempool-expiry', String(MEMPOOL_EXPIRY / 3600000))) * 3600000
+};
+// Checked in initNode: each must be a finite number, 0 or more
+const NUMERIC_OPTIONS = ['--prune', '--max-mempool', '--min-relay-fee', '--mempool-expiry'];
 
 // ============================================================
 // Blockchain + Wallet Init
 // ============================================================
-const blockchain = new Blockchain(DIFFICULTY);
+const blockchain = new Blockchain(NETWORK.powLimit, NETWORK.retarget);
+Object.assign(blockchain.mempool, MEMPOOL_POLICY);
 let nodeWallet;
+let txIndexStore = null;
 
 function initNode() {
     const chainFile = path.join(DATA_DIR, 'chain.json');
     const walletFile = path.join(DATA_DIR, 'wallet.json');
 
     if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
+    if (EXTERNAL_ADDRESS && !AddressManager.isValid(EXTERNAL_ADDRESS)) {
+        log(`❌ --external-address must be a ws:// or wss:// URL, got ${EXTERNAL_ADDRESS}`);
+        process.exit(1);
+    }
+    // parseFloat turns a typo into NaN, and a NaN limit never trips
+    for (const flag of NUMERIC_OPTIONS) {
+        const value = getArg(flag, null);
+        if (value !== null && !(Number.isFinite(Number(value)) && Number(value) >= 0)) {
+            log(`❌ ${flag} must be a non-negative number, got ${value}`);
+            process.exit(1);
+        }
+    }
 
     // Wallet
     if (fs.existsSync(walletFile)) {
@@ -57,7 +101,6 @@ function initNode() {
         nodeWallet.privateKey = walletData.privateKey;
         nodeWallet.publicKey = derivePublicKey(walletData.privateKey);
         nodeWallet.address = deriveAddress(nodeWallet.publicKey);
-        WALLET_REGISTRY.set(nodeWallet.publicKey, nodeWallet);
         log(`♻️  Loaded wallet: ${nodeWallet.address.substring(0, 12)}...`);
     } else {
         nodeWallet = new Wallet('Node', blockchain);
@@ -68,50 +111,111 @@ function initNode() {
         log(`🔑 New wallet: ${nodeWallet.address.substring(0, 12)}...`);
     }
 
-    // Chain
-    if (fs.existsSync(chainFile)) {
+    // Chain — appended block files under blocks/, and the UTXO set as of
+    // the tip under chainstate/. A chain.json from an older version is
+    // imported into them once, then set aside.
+    if (PRUNE_MB && TX_INDEX) {
+        log('❌ --prune and --txindex can\'t be combined: the index needs every block');
+        process.exit(1);
+    }
+    blockchain.blockStore = new BlockStore(path.join(DATA_DIR, 'blocks'), PRUNE_MB * 1e6);
+    const chainState = new ChainState(path.join(DATA_DIR, 'chainstate'));
+    if (blockchain.blockStore.size > 0) {
+        let saved = null;
+        if (REINDEX) {
+            log('🔁 Reindexing: rebuilding the UTXO set from block files');
+        } else {
+            try {
+                saved = chainState.load();
+            } catch (e) {
+                log(`⚠️  Chainstate unusable (${e.message}), rebuilding from block files`);
+            }
+        }
+        if (!saved && blockchain.blockStore.prunedHeight > 0) {
+            log(`❌ Blocks below #${blockchain.blockStore.prunedHeight} were pruned, so the UTXO set can't be rebuilt — delete ${path.join(DATA_DIR, 'blocks')} and ${path.join(DATA_DIR, 'chainstate')} to sync again`);
+            process.exit(1);
+        }
+        const replayed = blockchain.loadFromStore(saved);
+        if (blockchain.chain[0]?.hash !== NETWORK.genesis.hash) {
+            log(`❌ Block store in ${DATA_DIR} holds a different chain (genesis mismatch) — use another --data dir`);
+            process.exit(1);
+        }
+        log(`♻️  Loaded chain: ${blockchain.chain.length} blocks, ${replayed} replayed`);
+    } else if (fs.existsSync(chainFile)) {
         try {
             const chainData = JSON.parse(fs.readFileSync(chainFile, 'utf8'));
             rebuildChainFromData(chainData);
-            log(`♻️  Loaded chain: ${blockchain.chain.length} blocks`);
+            fs.renameSync(chainFile, chainFile + '.imported');
+            log(`♻️  Imported chain.json into block files: ${blockchain.chain.length} blocks`);
         } catch (e) {
-            log(`⚠️  Chain file corrupt, loading canonical genesis`);
+            log(`⚠️  Chain file unusable (${e.message}), loading canonical genesis`);
             loadCanonicalGenesis();
         }
     } else {
         loadCanonicalGenesis();
-        log(`📦 Loaded canonical genesis: ${GENESIS.hash.substring(0, 16)}...`);
+        log(`📦 Loaded canonical genesis: ${NETWORK.genesis.hash.substring(0, 16)}...`);
+    }
+    chainState.attach(blockchain);
+    if (PRUNE_MB) log(`✂️  Pruning block files to ${PRUNE_MB} MB (the newest ${PRUNE_KEEP_BLOCKS} blocks are always kept)`);
+    if (TX_INDEX) {
+        txIndexStore = new TxIndexStore(path.join(DATA_DIR, 'indexes'));
+        const indexed = blockchain.setTxIndex(txIndexStore.load(new TxIndex()));
+        log(`🗂️  Tx index: ${blockchain.txIndex.txs.size} txs${indexed ? `, ${indexed} blocks indexed now` : ''}`);
+    }
+    loadMempool();
+
+    // Known peers, to pick outbound connections from
+    try {
+        log(`📒 ${addrman.load()} known peer addresses`);
+    } catch (e) {
+        log(`⚠️  peers.json unreadable (${e.message}), starting from the seeds`);
+    }
+    try {
+        const banned = banman.load();
+        if (banned) log(`🚫 ${banned} banned hosts`);
+    } catch (e) {
+        log(`⚠️  banned.json unreadable (${e.message}), starting with no bans`);
     }
-    saveChain();
 }
 
+// chain.json (before block files) held each block's raw hex encoding
 function rebuildChainFromData(data) {
-    for (const blockData of data) {
-        const txs = blockData.transactions.map(txd => {
-            const tx = new Transaction(txd.inputs, txd.outputs, txd.isCoinbase);
-            Object.assign(tx, txd); // Restore props
-            return tx;
-        });
-        const block = new Block(blockData.height, blockData.previousHash, txs, blockData.difficulty);
-        Object.assign(block, blockData); // Restore props
-        blockchain.chain.push(block);
-        blockchain._processBlockUTXOs(block);
-    }
+    const blocks = data.map(hex => Block.fromHex(hex));
+    // Data from an older, incompatible chain (e.g. a different genesis header)
+    if (blocks[0]?.hash !== NETWORK.genesis.hash) throw new Error('genesis mismatch');
+    for (const block of blocks) blockchain.appendTrusted(block);
 }
 
 function loadCanonicalGenesis() {
-    const g = GENESIS;
-    const tx = new Transaction(g.transaction.inputs, g.transaction.outputs, g.transaction.isCoinbase);
-    Object.assign(tx, g.transaction);
-    const block = new Block(g.height, g.previousHash, [tx], g.difficulty);
-    Object.assign(block, g);
-    blockchain.chain.push(block);
-    blockchain._processBlockUTXOs(block);
+    blockchain.appendTrusted(Block.fromHex(NETWORK.genesisHex));
 }
 
-function saveChain() {
-    const chainFile = path.join(DATA_DIR, 'chain.json');
-    fs.writeFileSync(chainFile, JSON.stringify(blockchain.chain, null, 2));
+// mempool.json holds pooled transactions (parents first) with the time
+// each entered the pool, so expiry survives a restart
+function loadMempool() {
+    const mempoolFile = path.join(DATA_DIR, 'mempool.json');
+    if (!fs.existsSync(mempoolFile)) return;
+    let kept = 0, dropped = 0;
+    try {
+        for (const { hex, time } of JSON.parse(fs.readFileSync(mempoolFile, 'utf8'))) {
+            try {
+                blockchain.addToMempool(Transaction.fromHex(hex), time);
+                kept++;
+            } catch (e) {
+                dropped++;
+            }
+        }
+    } catch (e) {
+        log(`⚠️  Mempool file unusable (${e.message}), starting empty`);
+        return;
+    }
+    log(`♻️  Loaded mempool: ${kept} txs${dropped ? `, ${dropped} no longer valid` : ''}`);
+}
+
+function saveMempool() {
+    const pool = blockchain.mempool;
+    const data = pool.inBlockOrder().map(tx => ({ hex: tx.toHex(), time: pool.getTime(tx.hash) }));
+    fs.writeFileSync(path.join(DATA_DIR, 'mempool.json'), JSON.stringify(data, null, 2));
 }
 
 // ============================================================
@@ -128,56 +232,174 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         chain: blockchain.chain.length,
         peers: peers.size,
-        mempool: blockchain.mempool.length,
+        mempool: blockchain.mempool.size,
         mining: isMining,
         wallet: nodeWallet.address,
         port: PORT
     });
 });
 
-app.get('/stats', (req, res) => res.json(blockchain.getStats()));
-app.get('/chain', (req, res) => res.json(blockchain.chain));
+app.get('/stats', (req, res) => res.json({ network: NETWORK.name, ...blockchain.getStats(), sync: sync.getStats() }));
+// Amounts are integer units; `display` has them as FPC strings
+app.get('/supply', (req, res) => {
+    const supply = blockchain.getSupply();
+    res.json({
+        ...supply,
+        display: {
+            issued: formatAmount(supply.issued),
+            remaining: formatAmount(supply.remaining),
+            maxSupply: formatAmount(supply.maxSupply),
+            subsidy: formatAmount(supply.subsidy)
+        }
+    });
+});
+// Pruned blocks appear as headers only (transactions null)
+app.get('/chain', (req, res) => res.json(blockchain.chain.map((b, height) => blockchain.getBlock(height) || { ...b, pruned: true })));
 app.get('/block', (req, res) => {
     const height = parseInt(req.query.height);
-    const block = blockchain.chain[height];
-    block ? res.json(block) : res.status(404).json({ error: 'Block not found' });
+    const block = blockchain.getBlock(height);
+    if (!block) return blockNotFound(res, height);
+    const fees = blockchain.getBlockFees(block);
+    res.json({
+        ...block,
+        fees: fees.total,
+        transactions: block.transactions.map(tx => ({ ...tx, fee: fees.byTx[tx.hash] || 0 }))
+    });
 });
+// Raw forms — the canonical hex encoding, for tools outside this repo
+app.get('/block/raw', (req, res) => {
+    const height = parseInt(req.query.height);
+    const block = blockchain.getBlock(height);
+    if (!block) return blockNotFound(res, height);
+    res.json({ hash: block.hash, hex: block.toHex() });
+});
+function blockNotFound(res, height) {
+    if (!blockchain.chain[height]) return res.status(404).json({ error: 'Block not found' });
+    res.status(404).json({ error: `Block #${height} has been pruned — this node keeps only recent blocks`, pruned: true });
+}
 app.get('/balance', (req, res) => {
     const addr = req.query.address || nodeWallet.address;
-    res.json({ address: addr, balance: blockchain.getBalance(addr) });
+    const balance = blockchain.getBalance(addr);
+    res.json({ address: addr, balance, display: formatAmount(balance) });
 });
 app.get('/utxos', (req, res) => {
     const addr = req.query.address || nodeWallet.address;
     res.json(blockchain.getUTXOs(addr));
 });
-app.get('/mempool', (req, res) => res.json(blockchain.mempool));
-app.get('/peers', (req, res) => res.json(Array.from(peers.values()).map(p => p.address)));
-app.get('/wallet', (req, res) => res.json({
-    address: nodeWallet.address,
-    balance: nodeWallet.getBalance()
-}));
+// Pooled transactions are always found; confirmed ones need --txindex
+app.get('/tx/:hash', (req, res) => {
+    const found = blockchain.getTransaction(req.params.hash);
+    if (!found) {
+        const hint = blockchain.txIndex ? '' : ' (confirmed transactions need the node started with --txindex)';
+        return res.status(404).json({ error: `Transaction not found${hint}` });
+    }
+    const { tx, ...location } = found;
+    res.json({ ...tx, ...location });
+});
+// Newest first; ?offset=N skips the N most recent, ?limit=N (max 500) per page
+app.get('/address/:addr/history', (req, res) => {
+    if (!blockchain.txIndex) return res.status(400).json({ error: 'Address history needs the node started with --txindex' });
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    if (!Number.isInteger(offset) || offset < 0) return res.status(400).json({ error: 'offset must be a non-negative integer' });
+    if (!Number.isInteger(limit) || limit < 1 || limit > 500) return res.status(400).json({ error: 'limit must be an integer from 1 to 500' });
+    const balance = blockchain.getBalance(req.params.addr);
+    res.json({ ...blockchain.getAddressHistory(req.params.addr, offset, limit), balance, display: formatAmount(balance) });
+});
+app.get('/reorgs', (req, res) => res.json(recentReorgs));
+// In block order — parents ahead of the children spending them
+app.get('/mempool', (req, res) => {
+    const pool = blockchain.mempool;
+    res.json(pool.inBlockOrder().map(tx => ({
+        ...tx,
+        fee: pool.getFee(tx.hash),
+        replaceable: tx.signalsReplacement(),
+        ancestors: pool.getAncestors(tx).length,
+        descendants: pool.getDescendants(tx.hash).length
+    })));
+});
+app.get('/mempool/raw', (req, res) => res.json(blockchain.mempool.toArray().map(tx => ({ hash: tx.hash, hex: tx.toHex() }))));
+// Transactions dropped from the mempool and why, most recent first
+app.get('/mempool/conflicts', (req, res) => res.json(blockchain.mempool.dropped));
+// Fee rate (units per byte) to confirm within ?blocks=N, from recent blocks
+app.get('/fees/estimate', (req, res) => {
+    const blocks = req.query.blocks === undefined ? WALLET_CONF_TARGET : Number(req.query.blocks);
+    if (!Number.isInteger(blocks) || blocks < 1 || blocks > FEE_MAX_TARGET) {
+        return res.status(400).json({ error: `blocks must be an integer from 1 to ${FEE_MAX_TARGET}` });
+    }
+    res.json(blockchain.estimateFee(blocks));
+});
+app.get('/peers', (req, res) => res.json(Array.from(peers.values()).map(p => p.address || p.remote)));
+// Every address we know of, with last-seen and connection stats
+app.get('/peers/known', (req, res) => res.json(addrman.list()));
+// Hosts banned for misbehaving, the soonest to expire first
+app.get('/peers/banned', (req, res) => res.json(banman.list()));
+app.get('/wallet', (req, res) => {
+    const balance = nodeWallet.getBalance();
+    res.json({ address: nodeWallet.address, balance, display: formatAmount(balance) });
+});
 
 app.post('/tx', (req, res) => {
-    const { to, amount } = req.body;
+    // Without a fee, pays the estimated rate for confirming within `blocks`
+    const { to, amount, fee = null, blocks = WALLET_CONF_TARGET, replaceable = true } = req.body;
+    try {
+        const tx = nodeWallet.sendTo(to, amount, fee, replaceable, blocks);
+        const paid = blockchain.mempool.getFee(tx.hash);
+        sync.announceTx(tx);
+        log(`📤 TX sent: ${tx.hash.substring(0, 8)}... (${formatAmount(amount)} FPC, fee ${formatAmount(paid)})`);
+        res.json({ hash: tx.hash, status: 'mempool', amount, display: formatAmount(amount), fee: paid, hex: tx.toHex() });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Re-send one of our pending payments with a higher fee: {"hash": "...", "fee": 20000}
+app.post('/tx/bump', (req, res) => {
+    const { hash, fee } = req.body;
+    try {
+        const tx = nodeWallet.createReplacement(hash, fee);
+        const { replaced } = blockchain.addToMempool(tx);
+        sync.announceTx(tx);
+        log(`⏫ TX ${String(hash).substring(0, 8)}... replaced by ${tx.hash.substring(0, 8)}... (fee ${formatAmount(fee)} FPC)`);
+        res.json({ hash: tx.hash, status: 'mempool', replaced, fee, display: formatAmount(fee), hex: tx.toHex() });
+    } catch (e) {
+        res.status(400).json({ error: e.message });
+    }
+});
+
+// Submit a transaction signed elsewhere: {"hex": "01000000..."}
+app.post('/tx/raw', (req, res) => {
     try {
-        const tx = nodeWallet.sendTo(to, amount);
-        broadcast(MSG.NEW_TX, tx);
-        log(`📤 TX sent: ${tx.hash.substring(0, 8)}... (${amount} FPC)`);
-        res.json({ hash: tx.hash, status: 'mempool' });
+        const tx = Transaction.fromHex(req.body.hex);
+        const { replaced } = blockchain.addToMempool(tx);
+        sync.announceTx(tx);
+        log(`📤 Raw TX accepted: ${tx.hash.substring(0, 8)}...`);
+        res.json({ hash: tx.hash, status: 'mempool', replaced });
     } catch (e) {
         res.status(400).json({ error: e.message });
     }
 });
 
+// Submit a block mined elsewhere: {"hex": "01000000..."}
+app.post('/block/raw', (req, res) => {
+    const result = handleNewBlock(req.body.hex);
+    if (!result.valid && !result.known) return res.status(400).json({ error: result.reason || 'unknown parent' });
+    res.json({ hash: result.hash, status: result.known ? 'known' : result.status });
+});
+
 app.post('/mine', (req, res) => {
     if (isMining) return res.status(400).json({ error: 'Already mining' });
     const block = mineOneBlock();
+    const reward = getBlockSubsidy(block.height);
+    const fees = blockchain.getBlockFees(block).total;
     res.json({
         height: block.height,
         hash: block.hash,
         nonce: block.nonce,
         time: block.miningTime,
-        reward: MINING_REWARD
+        reward,
+        fees,
+        display: { reward: formatAmount(reward), fees: formatAmount(fees) }
     });
 });
 
@@ -193,7 +415,9 @@ app.post('/mine/stop', (req, res) => {
 
 app.post('/peers/add', (req, res) => {
     const { address } = req.body;
-    if (address) {
+    if (address && AddressManager.isValid(address) && banman.isBanned(new URL(address).hostname)) {
+        res.status(403).json({ error: `${new URL(address).hostname} is banned` });
+    } else if (address) {
         connectToPeer(address);
         res.json({ status: `Connecting to ${address}` });
     } else {
@@ -201,24 +425,76 @@ app.post('/peers/add', (req, res) => {
     }
 });
 
+app.post('/peers/unban', (req, res) => {
+    const { host } = req.body;
+    if (!host) return res.status(400).json({ error: 'Missing host' });
+    if (!banman.unban(host)) return res.status(404).json({ error: `${host} is not banned` });
+    log(`✅ Unbanned ${host}`);
+    res.json({ host, unbanned: true });
+});
+
 // ============================================================
 // P2P Network (WebSocket)
 // ============================================================
+// ws → {address (dialable, or null), remote (ip:port), host (what a ban applies to), inbound, lastSeen, score, ...}
 const peers = new Map();
-const MSG = { HANDSHAKE: 'HANDSHAKE', PEER_LIST: 'PEER_LIST', NEW_BLOCK: 'NEW_BLOCK', NEW_TX: 'NEW_TX', REQUEST_CHAIN: 'REQUEST_CHAIN', CHAIN_RESPONSE: 'CHAIN_RESPONSE', PING: 'PING', PONG: 'PONG' };
+const addrman = new AddressManager(path.join(DATA_DIR, 'peers.json'));
+const banman = new BanManager(path.join(DATA_DIR, 'banned.json'));
+const MSG = { HANDSHAKE: 'HANDSHAKE', PEER_LIST: 'PEER_LIST', PING: 'PING', PONG: 'PONG', ...SYNC_MSG };
+// Block and tx download and relay (network/sync.js)
+const sync = new SyncManager(blockchain, send, log, misbehaving);
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server }); // Attach WebSocket to same HTTP server
+// Attach WebSocket to same HTTP server
+const wss = new WebSocketServer({ server, maxPayload: MAX_MESSAGE_SIZE });
 
 wss.on('connection', (ws, req) => {
-    peers.set(ws, { address: 'incoming', lastSeen: Date.now() });
+    const host = remoteHost(req);
+    if (banman.isBanned(host)) return ws.terminate();
+    peers.set(ws, { address: null, remote: `${host}:${req.socket.remotePort}`, host, inbound: true, lastSeen: Date.now(), score: 0 });
     ws.on('message', (data) => handleMessage(ws, data.toString()));
-    ws.on('close', () => peers.delete(ws));
-    ws.on('error', () => peers.delete(ws));
+    ws.on('close', () => dropPeer(ws));
+    ws.on('error', (e) => onSocketError(ws, e));
 });
 
+function dropPeer(ws) {
+    peers.delete(ws);
+    sync.removePeer(ws);
+}
+
+function onSocketError(ws, e) {
+    if (e.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH') misbehaving(ws, 'message-too-large');
+    dropPeer(ws);
+}
+
+// Adds up a peer's violations (see MISBEHAVIOR); at BAN_THRESHOLD its host is banned
+function misbehaving(ws, violation, detail = '') {
+    const info = peers.get(ws);
+    if (!info) return;
+    info.score += MISBEHAVIOR[violation];
+    const name = info.address || info.remote;
+    log(`⚠️  Peer ${name}: ${violation}${detail ? ` (${detail})` : ''}, score ${info.score}`);
+    if (info.score < BAN_THRESHOLD) return;
+    banman.ban(info.host, violation);
+    log(`🚫 Banned ${info.host} for ${BAN_DURATION / 3600000}h: ${violation}`);
+    ws.terminate();
+    dropPeer(ws);
+}
+
+// The connecting IP — or the one our --trust-proxy forwarded for
+function remoteHost(req) {
+    const host = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    if (!TRUST_PROXY || host !== TRUST_PROXY) return host;
+    const forwarded = req.headers['x-forwarded-for']?.split(',').pop().trim();
+    return (forwarded || host).replace(/^::ffff:/, '');
+}
+
+function send(ws, type, data) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ type, data }));
+}
+
 function broadcast(type, data, excludeWs = null) {
-    const msg = JSON.stringify({ type, data, sender: `ws://localhost:${PORT}` }); // Note: sender address might need to be public IP for real P2P, but localhost works for internal
+    const msg = JSON.stringify({ type, data });
     for (const [ws] of peers) {
         if (ws !== excludeWs && ws.readyState === WebSocket.OPEN) ws.send(msg);
     }
@@ -226,42 +502,57 @@ function broadcast(type, data, excludeWs = null) {
 
 function handleMessage(ws, raw) {
     let msg;
-    try { msg = JSON.parse(raw); } catch { return; }
+    const info = peers.get(ws);
+    if (!info) return;
+    try { msg = JSON.parse(raw); } catch { return misbehaving(ws, 'malformed-message', 'not JSON'); }
+    info.lastSeen = Date.now();
+    if (info.address) addrman.seen(info.address);
+    // Nothing but a handshake until we know it's on our network
+    if (msg.type !== MSG.HANDSHAKE && !info.handshakeDone) return;
 
     switch (msg.type) {
         case MSG.HANDSHAKE: {
-            const existing = peers.get(ws);
-            const alreadyHandshook = existing && existing.handshakeDone;
-            // Update peer info
-            peers.set(ws, { ...existing, address: msg.sender, lastSeen: Date.now(), chainLength: msg.data?.chainLength || 0, handshakeDone: true });
+            const alreadyHandshook = info.handshakeDone;
+            const check = checkHandshake(msg.data, NETWORK);
+            if (!check.valid) {
+                // Answer first, so it can see why too
+                if (info.inbound) send(ws, MSG.HANDSHAKE, handshakeData());
+                else addrman.failure(info.address);
+                log(`🔌 Incompatible peer ${info.address || info.remote}: ${check.reason}`);
+                ws.close();
+                dropPeer(ws);
+                break;
+            }
+            // An inbound peer is reachable at the address it advertises (if any);
+            // an outbound one at the address we dialed
+            const advertised = AddressManager.isValid(msg.data?.address) ? msg.data.address : null;
+            if (info.inbound && advertised && advertised !== EXTERNAL_ADDRESS) {
+                info.address = advertised;
+                addrman.add(advertised, 'inbound');
+            }
+            Object.assign(info, {
+                chainLength: msg.data.chainLength || 0, version: msg.data.version, services: msg.data.services || 0, handshakeDone: true
+            });
 
             // Reply only if initiated by other side
             if (!alreadyHandshook) {
-                ws.send(JSON.stringify({
-                    type: MSG.HANDSHAKE,
-                    sender: `ws://localhost:${PORT}`, // In production, use env var for public URL
-                    data: { chainLength: blockchain.chain.length }
-                }));
-                log(`🤝 Peer connected: ${msg.sender}`);
-            }
-            if (msg.data?.chainLength > blockchain.chain.length) {
-                log(`📥 Peer has longer chain, requesting sync...`);
-                ws.send(JSON.stringify({ type: MSG.REQUEST_CHAIN, sender: `ws://localhost:${PORT}` }));
+                ws.send(JSON.stringify({ type: MSG.HANDSHAKE, data: handshakeData() }));
+                log(`🤝 Peer connected: ${info.address || info.remote}${info.inbound ? ' (inbound)' : ''}`);
             }
+            if (!info.inbound) addrman.success(info.address);
+            // Asks for headers if the peer has more work
+            sync.addPeer(ws, msg.data);
             break;
         }
-        case MSG.NEW_BLOCK: handleNewBlock(msg.data, ws); break;
-        case MSG.NEW_TX: handleNewTx(msg.data); break;
-        case MSG.REQUEST_CHAIN:
-            ws.send(JSON.stringify({ type: MSG.CHAIN_RESPONSE, data: blockchain.chain, sender: `ws://localhost:${PORT}` }));
-            break;
-        case MSG.CHAIN_RESPONSE: handleChainResponse(msg.data); break;
         case MSG.PEER_LIST:
-            if (Array.isArray(msg.data)) msg.data.forEach(addr => {
-                if (addr !== `ws://localhost:${PORT}` && !isPeerConnected(addr)) connectToPeer(addr);
+            // Into the address manager; we dial from there as slots free up
+            if (Array.isArray(msg.data)) msg.data.slice(0, 1000).forEach(addr => {
+                if (addr !== EXTERNAL_ADDRESS) addrman.add(addr, 'gossip');
             });
+            fillOutbound();
             break;
-        case MSG.PING: ws.send(JSON.stringify({ type: MSG.PONG, sender: `ws://localhost:${PORT}` })); break;
+        case MSG.PING: ws.send(JSON.stringify({ type: MSG.PONG })); break;
+        default: sync.handleMessage(ws, msg); // headers, inventory, blocks and txs
     }
 }
 
@@ -271,75 +562,70 @@ function isPeerConnected(address) {
 }
 
 function connectToPeer(address) {
-    if (isPeerConnected(address)) return;
+    if (address === EXTERNAL_ADDRESS || isPeerConnected(address)) return;
     try {
-        const ws = new WebSocket(address);
+        const { host, hostname } = new URL(address);
+        if (banman.isBanned(hostname)) return;
+        addrman.attempt(address);
+        const ws = new WebSocket(address, { maxPayload: MAX_MESSAGE_SIZE });
+        // In the peer list from the start, so it isn't dialed twice
+        peers.set(ws, { address, remote: host, host: hostname, inbound: false, lastSeen: Date.now(), score: 0 });
+        let opened = false;
         ws.on('open', () => {
-            peers.set(ws, { address, lastSeen: Date.now() });
-            ws.send(JSON.stringify({
-                type: MSG.HANDSHAKE,
-                sender: `ws://localhost:${PORT}`,
-                data: { chainLength: blockchain.chain.length }
-            }));
+            opened = true;
+            ws.send(JSON.stringify({ type: MSG.HANDSHAKE, data: handshakeData() }));
         });
         ws.on('message', (data) => handleMessage(ws, data.toString()));
-        ws.on('close', () => peers.delete(ws)); // Don't log spam
-        ws.on('error', () => peers.delete(ws));
-    } catch (e) { }
+        ws.on('close', () => dropPeer(ws)); // Don't log spam
+        ws.on('error', (e) => {
+            if (!opened) addrman.failure(address);
+            onSocketError(ws, e);
+        });
+    } catch (e) {
+        addrman.failure(address);
+    }
 }
 
-function handleNewBlock(blockData, fromWs) {
-    const lastBlock = blockchain.chain[blockchain.chain.length - 1];
-    if (blockData.previousHash !== lastBlock.hash) {
-        if (blockData.height > blockchain.chain.length) {
-            fromWs.send(JSON.stringify({ type: MSG.REQUEST_CHAIN, sender: `ws://localhost:${PORT}` }));
-        }
-        return;
-    }
-    // Deep reconstruction
-    const txs = blockData.transactions.map(t => {
-        const tx = new Transaction(t.inputs, t.outputs, t.isCoinbase);
-        Object.assign(tx, t);
-        return tx;
-    });
-    const block = new Block(blockData.height, blockData.previousHash, txs, blockData.difficulty);
-    Object.assign(block, blockData);
-
-    if (block.hash.startsWith('0'.repeat(block.difficulty))) {
-        blockchain.chain.push(block);
-        blockchain._processBlockUTXOs(block);
-        const confirmedHashes = new Set(block.transactions.map(t => t.hash));
-        blockchain.mempool = blockchain.mempool.filter(t => !confirmedHashes.has(t.hash));
-        saveChain();
-        log(`✅ Block #${block.height} received | ${block.hash.substring(0, 8)}...`);
-        broadcast(MSG.NEW_BLOCK, blockData, fromWs);
-    }
+// Dial known addresses until we have MAX_OUTBOUND outbound peers
+function fillOutbound() {
+    const connected = new Set([...peers.values()].map(p => p.address));
+    const outbound = [...peers.values()].filter(p => !p.inbound).length;
+    for (const address of addrman.select(MAX_OUTBOUND - outbound, connected)) connectToPeer(address);
 }
 
-function handleNewTx(txData) {
-    if (blockchain.mempool.find(t => t.hash === txData.hash)) return;
-    const tx = new Transaction(txData.inputs, txData.outputs, txData.isCoinbase);
-    Object.assign(tx, txData);
-    try {
-        blockchain.addToMempool(tx);
-        log(`📨 TX received: ${tx.hash.substring(0, 8)}...`);
-        broadcast(MSG.NEW_TX, txData);
-    } catch (e) { }
+// Pruned, we serve only blocks from `prunedHeight` up (headers we always can)
+function handshakeData() {
+    return {
+        magic: NETWORK.magic,
+        version: PROTOCOL_VERSION,
+        services: PRUNE_MB ? SERVICES.NETWORK_LIMITED : SERVICES.NETWORK,
+        address: EXTERNAL_ADDRESS,
+        chainLength: blockchain.chain.length,
+        chainWork: blockchain.getChainWork().toString(),
+        prunedHeight: blockchain.blockStore.prunedHeight
+    };
 }
 
-function handleChainResponse(chainData) {
-    if (!Array.isArray(chainData) || chainData.length <= blockchain.chain.length) return;
-    log(`📥 Received chain of length ${chainData.length} (ours: ${blockchain.chain.length})`);
-
-    // In a real app, validate full chain. Here we trust for simplicity or simplistic validation can be added back.
-    // For robust sync, we'd clear ours and rebuild.
-    blockchain.chain = [];
-    blockchain.utxoSet = new Map();
-    rebuildChainFromData(chainData);
-    saveChain();
-    log(`🔄 Chain replaced: now ${blockchain.chain.length} blocks`);
+// Blocks submitted through POST /block/raw, as raw hex
+function handleNewBlock(hex) {
+    let block;
+    try {
+        block = Block.fromHex(hex);
+    } catch (e) {
+        log(`❌ Rejected block: malformed (${e.message})`);
+        return { valid: false, reason: `malformed block (${e.message})` };
+    }
+    return sync.acceptBlock(block);
 }
 
+// Reorgs: log them and keep the most recent ones for GET /reorgs
+const recentReorgs = [];
+blockchain.onReorg = (event) => {
+    recentReorgs.unshift({ ...event, time: Date.now() });
+    if (recentReorgs.length > 20) recentReorgs.pop();
+    log(`🔀 Reorg at height ${event.forkHeight}: -${event.disconnected.length} / +${event.connected.length} blocks, ${event.restoredTxs.length} txs back to mempool`);
+};
+
 // ============================================================
 // Mining
 // ============================================================
@@ -348,9 +634,8 @@ let miningInterval = null;
 
 function mineOneBlock() {
     const block = blockchain.mineBlock(nodeWallet.address);
-    saveChain();
     log(`⛏️  Block #${block.height} mined | ${block.hash.substring(0, 8)}... | ${block.miningTime}ms`);
-    broadcast(MSG.NEW_BLOCK, block);
+    sync.announceBlock(block);
     return block;
 }
 
@@ -379,17 +664,37 @@ function log(msg) { console.log(`[${new Date().toLocaleTimeString()}] ${msg}`);
 
 initNode();
 server.listen(PORT, () => {
-    log(`🚀 Node running on port ${PORT}`);
+    log(`🚀 Node running on port ${PORT} (${NETWORK.name}, magic ${NETWORK.magic}, protocol v${PROTOCOL_VERSION})`);
     log(`📡 P2P + API active`);
     log(`💰 Wallet: ${nodeWallet.address.substring(0, 12)}...`);
+    log(EXTERNAL_ADDRESS ? `🌍 Advertising ${EXTERNAL_ADDRESS}` : '🌍 No --external-address: not advertising ourselves to peers');
 
+    SEED_PEERS.forEach(addr => addrman.add(addr, 'seed'));
     SEED_PEERS.forEach(connectToPeer);
+    fillOutbound();
+    sync.start();
     if (AUTO_MINE) setTimeout(startMining, 1000);
+    log(`📋 Mempool: max ${MEMPOOL_POLICY.maxSize / 1e6} MB, min relay fee ${MEMPOOL_POLICY.minFeeRate}/B, expiry ${MEMPOOL_POLICY.expiry / 3600000}h`);
 
-    // Peer discovery loop
+    // Peer discovery loop: share the dialable addresses we're connected to
     setInterval(() => {
         broadcast(MSG.PING, {});
-        const addrs = Array.from(peers.values()).map(p => p.address).filter(a => a !== 'incoming');
+        const addrs = [EXTERNAL_ADDRESS, ...Array.from(peers.values()).map(p => p.address)].filter(Boolean);
         if (addrs.length) broadcast(MSG.PEER_LIST, addrs);
+        fillOutbound();
+        addrman.save();
     }, 30000);
 });
+
+// Keep the mempool across restarts (blocks and the UTXO set are already on disk)
+for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+        saveMempool();
+        blockchain.blockStore.close();
+        blockchain.chainState.close();
+        if (txIndexStore) txIndexStore.close();
+        addrman.save();
+        log(`💾 Saved ${blockchain.mempool.size} mempool txs, shutting down`);
+        process.exit(0);
+    });
+}
@@ -0,0 +1,606 @@
+/**
+ * FlowPay Coin (FPC) — Headers-First Sync
+ *
+ * How a node catches up with its peers and relays what's new. The
+ * messages, on top of the HANDSHAKE/PEER_LIST/PING the servers handle:
+ *
+ *   GET_HEADERS {locator}    → HEADERS [header hex], up to MAX_HEADERS of
+ *                              them, from where the locator meets the
+ *                              peer's chain
+ *   INV {type, hashes}       announces blocks or transactions ('block' | 'tx')
+ *   GET_DATA {type, hashes}  → a BLOCK or TX (raw hex) for each one, and
+ *                              NOT_FOUND {type, hashes} for the rest
+ *   CMPCT_BLOCK, GET_BLOCK_TXN, BLOCK_TXN
+ *                            new blocks, to peers of COMPACT_BLOCKS_VERSION
+ *                              and up, as header + short tx ids (network/compact.js)
+ *
+ * Headers are checked — link, proof-of-work, difficulty, time — and
+ * indexed before any body is fetched. The bodies along the best header
+ * chain are then requested from every peer that has them, a few at a
+ * time each, and connected in order as they arrive. A block announced
+ * by INV goes the same way: its header first, then its body; one sent
+ * compact is rebuilt from our mempool, fetching only what's missing.
+ *
+ * Protocol violations — invalid headers or blocks, oversized or
+ * unrequested messages — are reported to the server's `misbehaving`
+ * callback by name (see MISBEHAVIOR in banman.js).
+ */
+
+const { Block, Transaction, MAX_BLOCK_SIZE } = require('../blockchain.js');
+const { SERVICES, COMPACT_BLOCKS_VERSION } = require('./params.js');
+const { createCompactBlock, fillCompactBlock, buildBlock } = require('./compact.js');
+
+const SYNC_MSG = {
+    GET_HEADERS: 'GET_HEADERS',
+    HEADERS: 'HEADERS',
+    INV: 'INV',
+    GET_DATA: 'GET_DATA',
+    BLOCK: 'BLOCK',
+    TX: 'TX',
+    NOT_FOUND: 'NOT_FOUND',
+    CMPCT_BLOCK: 'CMPCT_BLOCK',
+    GET_BLOCK_TXN: 'GET_BLOCK_TXN',
+    BLOCK_TXN: 'BLOCK_TXN'
+};
+
+const MAX_HEADERS = 2000;         // headers per HEADERS message
+const MAX_INV = 1000;             // hashes per INV / GET_DATA / NOT_FOUND
+const MAX_LOCATOR = 101;          // locator hashes looked at
+const BLOCKS_PER_PEER = 16;       // block requests in flight to one peer
+const DOWNLOAD_WINDOW = 512;      // how far past the first missing block we fetch
+const BLOCK_TIMEOUT = 30 * 1000;  // ms before a block request goes to another peer
+const TX_TIMEOUT = 60 * 1000;     // ms before a tx may be requested again
+const TX_GRACE = 5 * 60 * 1000;   // ms after that a late reply still counts as asked for
+const CHECK_INTERVAL = 5 * 1000;
+const SYNC_LOG_INTERVAL = 500;    // blocks between progress lines while catching up
+const MAX_HEADER_REQUESTS = 600;  // GET_HEADERS answered per peer per minute
+const MAX_MESSAGE_SIZE = 2 * MAX_BLOCK_SIZE + 64 * 1024; // bytes: a block as hex, plus the envelope
+
+class SyncManager {
+    // `send(ws, type, data)` writes one message to a peer;
+    // `misbehaving(ws, violation, detail)` is told of protocol violations
+    constructor(blockchain, send, log = () => {}, misbehaving = () => {}) {
+        this.blockchain = blockchain;
+        this.send = send;
+        this.log = log;
+        this.misbehaving = misbehaving;
+        // ws → {height, prunedHeight, version, blocks (hashes in flight), requested (asked for, timed out or not),
+        //       unavailable (hashes not to ask it for), headersRequested, headerRequests, requestWindow}
+        this.peers = new Map();
+        this.inFlight = new Map();   // block hash → {ws, time}
+        this.queue = [];             // best-chain blocks we have only the header of, lowest first
+        this.waiting = new Map();    // previous hash → {block, ws}: downloaded, parent not connected yet
+        this.txRequests = new Map(); // tx hash → when it was requested
+        this.expiredTxRequests = new Map(); // tx hash → when its request timed out
+        this.partial = new Map();    // block hash → {header, txs, missing, ws}: compact, waiting on BLOCK_TXN
+        this.compactStats = { received: 0, fromMempool: 0, txsRequested: 0, fallbacks: 0 };
+        this.syncing = false;        // behind our best header — quiet per-block logs, no relaying
+        this.loggedHeight = 0;
+        this.timer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this._checkTimeouts(), CHECK_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    // After a peer's HANDSHAKE (`info` is its handshake data). Asks for
+    // headers if its chain carries more work than any we know of.
+    addPeer(ws, info) {
+        const peer = this.peers.get(ws) || {
+            height: -1, prunedHeight: 0, version: 0, blocks: new Set(), requested: new Set(), unavailable: new Set(),
+            headersRequested: 0, headerRequests: 0, requestWindow: 0
+        };
+        peer.height = Math.max(peer.height, (info?.chainLength || 0) - 1);
+        peer.version = info?.version || 0;
+        // The lowest block it can serve, by its service bits
+        const services = info?.services || 0;
+        peer.prunedHeight = services & SERVICES.NETWORK ? 0
+            : services & SERVICES.NETWORK_LIMITED ? info.prunedHeight || 0
+            : Infinity;
+        this.peers.set(ws, peer);
+        if (this._hasMoreWork(info)) {
+            const best = this.blockchain.getBestHeader();
+            this.log(`📥 Peer has more chain work (${info.chainLength} vs ${best.height + 1} blocks${peer.prunedHeight === Infinity ? ', serves no blocks' : peer.prunedHeight ? ', pruned peer' : ''}), requesting headers...`);
+            this.requestHeaders(ws);
+        }
+        this._requestBlocks();
+    }
+
+    // Its unanswered block requests go to other peers
+    removePeer(ws) {
+        const peer = this.peers.get(ws);
+        if (!peer) return;
+        for (const hash of peer.blocks) {
+            this.inFlight.delete(hash);
+            this.partial.delete(hash);
+        }
+        this.peers.delete(ws);
+        this._requestBlocks();
+    }
+
+    handleMessage(ws, msg) {
+        if (!this.peers.has(ws)) return; // nothing before the handshake
+        switch (msg.type) {
+            case SYNC_MSG.GET_HEADERS: this._onGetHeaders(ws, msg.data); break;
+            case SYNC_MSG.HEADERS: this._onHeaders(ws, msg.data); break;
+            case SYNC_MSG.INV: this._onInv(ws, msg.data); break;
+            case SYNC_MSG.GET_DATA: this._onGetData(ws, msg.data); break;
+            case SYNC_MSG.BLOCK: this._onBlock(ws, msg.data); break;
+            case SYNC_MSG.TX: this._onTx(ws, msg.data); break;
+            case SYNC_MSG.NOT_FOUND: this._onNotFound(ws, msg.data); break;
+            case SYNC_MSG.CMPCT_BLOCK: this._onCompactBlock(ws, msg.data); break;
+            case SYNC_MSG.GET_BLOCK_TXN: this._onGetBlockTxn(ws, msg.data); break;
+            case SYNC_MSG.BLOCK_TXN: this._onBlockTxn(ws, msg.data); break;
+        }
+    }
+
+    // Headers after the newest one we have, from `ws`'s chain
+    requestHeaders(ws, from = this.blockchain.getBestHeader().block) {
+        const peer = this.peers.get(ws);
+        if (peer) peer.headersRequested++;
+        this.send(ws, SYNC_MSG.GET_HEADERS, { locator: this.blockchain.getLocator(from) });
+    }
+
+    // Our own blocks (mined, or POST /block/raw) and ones we've connected:
+    // compact to peers that take it, INV to the rest
+    announceBlock(block, exclude = null) {
+        let compact = null;
+        for (const [ws, peer] of this.peers) {
+            if (ws === exclude) continue;
+            if (peer.version >= COMPACT_BLOCKS_VERSION) {
+                compact = compact || createCompactBlock(block);
+                this.send(ws, SYNC_MSG.CMPCT_BLOCK, compact);
+            } else {
+                this.send(ws, SYNC_MSG.INV, { type: 'block', hashes: [block.hash] });
+            }
+        }
+    }
+
+    announceTx(tx, exclude = null) {
+        this._announce('tx', tx.hash, exclude);
+    }
+
+    // A whole block, from a peer (`fromWs`) or submitted locally
+    acceptBlock(block, fromWs = null) {
+        const added = this.blockchain.addBlock(block);
+        const result = { ...added, hash: block.hash };
+        if (result.known) return result;
+        if (result.orphan) {
+            // Builds on something we don't have — get the headers in between
+            if (fromWs) this.requestHeaders(fromWs);
+            return result;
+        }
+        if (!result.valid) {
+            this.log(`❌ Rejected block #${block.height}: ${result.reason}`);
+            if (result.mutated) {
+                // Still wanted — from someone else
+                if (fromWs) {
+                    this.peers.get(fromWs)?.unavailable.add(block.hash);
+                    this.misbehaving(fromWs, 'mutated-block', block.hash.substring(0, 16));
+                }
+            } else {
+                this._updateQueue(); // its descendants are invalid too
+                // Not the sender's fault if the reorg hit pruned blocks, it
+                // was an earlier block of the branch that failed, or the
+                // timestamp is only ahead of our clock
+                if (fromWs && !result.pruned && !result.future && (!added.hash || added.hash === block.hash)) {
+                    this.misbehaving(fromWs, result.reason === 'invalid PoW' ? 'invalid-pow' : 'invalid-block', result.reason);
+                }
+            }
+            return result;
+        }
+        if (result.status === 'side-branch') {
+            // A competing branch being downloaded only counts once it's ahead
+            if (!this.isSyncing()) this.log(`🔀 Side-branch block #${block.height} | ${block.hash.substring(0, 16)}... (less work than our tip)`);
+            return result;
+        }
+
+        const height = this.blockchain.chain.length - 1;
+        if (this.isSyncing()) {
+            this.syncing = true;
+            if (height - this.loggedHeight >= SYNC_LOG_INTERVAL) {
+                this.loggedHeight = height;
+                this.log(`🔄 Syncing: block #${height} of #${this.blockchain.getBestHeader().height}`);
+            }
+        } else if (this.syncing) {
+            this.syncing = false;
+            this.loggedHeight = height;
+            this.log(`🔄 Synced: now ${height + 1} blocks`);
+        } else {
+            this.log(`✅ Block #${block.height} received | ${block.hash.substring(0, 16)}... | ${block.transactions.length} txs`);
+            this.announceBlock(block, fromWs);
+        }
+        return result;
+    }
+
+    // Our best header has more work than our tip: bodies still to fetch
+    isSyncing() {
+        return this.blockchain.getBestHeader().chainWork > this.blockchain.getChainWork();
+    }
+
+    getStats() {
+        return {
+            blocksQueued: this.queue.length,
+            blocksInFlight: this.inFlight.size,
+            blocksWaiting: this.waiting.size,
+            compactBlocks: { ...this.compactStats, pending: this.partial.size }
+        };
+    }
+
+    // Fork choice is by cumulative work, advertised as a decimal string
+    _hasMoreWork(data) {
+        const best = this.blockchain.getBestHeader();
+        if (data?.chainWork === undefined) return data?.chainLength > best.height + 1;
+        try {
+            return BigInt(data.chainWork) > best.chainWork;
+        } catch {
+            return false;
+        }
+    }
+
+    _onGetHeaders(ws, data) {
+        if (!Array.isArray(data?.locator)) return this.misbehaving(ws, 'malformed-message', 'GET_HEADERS without a locator');
+        if (data.locator.length > MAX_LOCATOR) return this.misbehaving(ws, 'oversized-message', `${data.locator.length} locator hashes`);
+        const peer = this.peers.get(ws);
+        const now = Date.now();
+        if (now - peer.requestWindow >= 60 * 1000) {
+            peer.requestWindow = now;
+            peer.headerRequests = 0;
+        }
+        // Past the limit they go unanswered, but aren't scored: a peer
+        // syncing through a run of reorgs can ask that fast honestly
+        if (++peer.headerRequests > MAX_HEADER_REQUESTS) return;
+        const blocks = this.blockchain.getHeaders(data.locator, MAX_HEADERS);
+        this.send(ws, SYNC_MSG.HEADERS, blocks.map(b => b.headerHex()));
+    }
+
+    _onHeaders(ws, data) {
+        const peer = this.peers.get(ws);
+        if (!peer.headersRequested) return this.misbehaving(ws, 'unsolicited-headers');
+        peer.headersRequested--;
+        if (!Array.isArray(data)) return this.misbehaving(ws, 'malformed-message', 'HEADERS is not a list');
+        if (data.length > MAX_HEADERS) return this.misbehaving(ws, 'oversized-message', `${data.length} headers`);
+        let last = null;
+        let added = 0;
+        for (const hex of data) {
+            let header;
+            try {
+                header = Block.fromHeaderHex(hex);
+            } catch (e) {
+                this.log(`❌ Rejected header: malformed (${e.message})`);
+                this.misbehaving(ws, 'malformed-message', `header: ${e.message}`);
+                break;
+            }
+            const result = this.blockchain.addHeader(header);
+            if (!result.valid) {
+                this.log(`❌ Rejected header #${header.height}: ${result.reason}`);
+                // A timestamp too far ahead isn't scored: the clock that's
+                // wrong may be ours
+                if (!result.future) {
+                    const violation = result.orphan ? 'unconnected-headers' : result.reason === 'invalid PoW' ? 'invalid-pow' : 'invalid-header';
+                    this.misbehaving(ws, violation, result.reason);
+                }
+                break;
+            }
+            if (!result.known) added++;
+            last = result.entry;
+        }
+        if (!last) return;
+        peer.height = Math.max(peer.height, last.height);
+        if (added) this.log(`📑 ${added} new headers (best: #${this.blockchain.getBestHeader().height})`);
+        // A full batch means there are more after it
+        if (data.length === MAX_HEADERS) this.requestHeaders(ws, last.block);
+        this._updateQueue();
+        this._requestBlocks();
+    }
+
+    _onInv(ws, data) {
+        if (!this._checkHashes(ws, data, 'INV')) return;
+        const hashes = data.hashes;
+        if (data.type === 'block') {
+            const peer = this.peers.get(ws);
+            let unknown = false;
+            for (const hash of hashes) {
+                const entry = this.blockchain.blockIndex.get(hash);
+                if (entry) peer.height = Math.max(peer.height, entry.height);
+                else unknown = true;
+            }
+            if (unknown) this.requestHeaders(ws);
+            else this._requestBlocks();
+        } else if (data.type === 'tx') {
+            const wanted = hashes.filter(h => !this.blockchain.mempool.has(h) && !this.txRequests.has(h));
+            if (!wanted.length) return;
+            for (const hash of wanted) this.txRequests.set(hash, Date.now());
+            this.send(ws, SYNC_MSG.GET_DATA, { type: 'tx', hashes: wanted });
+        }
+    }
+
+    _onGetData(ws, data) {
+        if (!this._checkHashes(ws, data, 'GET_DATA')) return;
+        const notFound = [];
+        for (const hash of data.hashes) {
+            if (data.type === 'block') {
+                // Null if unknown, not downloaded yet, or pruned
+                const block = this.blockchain.getBlock(String(hash));
+                if (block) this.send(ws, SYNC_MSG.BLOCK, block.toHex());
+                else notFound.push(hash);
+            } else if (data.type === 'tx') {
+                const tx = this.blockchain.mempool.txs.get(hash);
+                if (tx) this.send(ws, SYNC_MSG.TX, tx.toHex());
+                else notFound.push(hash);
+            }
+        }
+        if (notFound.length) this.send(ws, SYNC_MSG.NOT_FOUND, { type: data.type, hashes: notFound });
+    }
+
+    _onNotFound(ws, data) {
+        if (!this._checkHashes(ws, data, 'NOT_FOUND')) return;
+        const peer = this.peers.get(ws);
+        for (const hash of data.hashes) {
+            if (data.type === 'tx') {
+                this.txRequests.delete(hash);
+            } else if (peer.requested.delete(hash)) {
+                if (peer.blocks.delete(hash)) this.inFlight.delete(hash);
+                this.partial.delete(hash);
+                peer.unavailable.add(hash);
+            }
+        }
+        this._requestBlocks();
+    }
+
+    // INV, GET_DATA and NOT_FOUND carry {type, hashes}, at most MAX_INV of them
+    _checkHashes(ws, data, type) {
+        if (!Array.isArray(data?.hashes)) {
+            this.misbehaving(ws, 'malformed-message', `${type} without hashes`);
+            return false;
+        }
+        if (data.hashes.length > MAX_INV) {
+            this.misbehaving(ws, 'oversized-message', `${data.hashes.length} hashes in ${type}`);
+            return false;
+        }
+        return true;
+    }
+
+    _onBlock(ws, hex) {
+        let block;
+        try {
+            block = Block.fromHex(hex);
+        } catch (e) {
+            this.log(`❌ Rejected block: malformed (${e.message})`);
+            return this.misbehaving(ws, 'malformed-message', `block: ${e.message}`);
+        }
+        const peer = this.peers.get(ws);
+        // Only blocks we asked for, even if the request timed out since
+        if (!peer.requested.delete(block.hash)) return this.misbehaving(ws, 'unsolicited-block', block.hash.substring(0, 16));
+        if (peer.blocks.delete(block.hash)) this.inFlight.delete(block.hash);
+        peer.height = Math.max(peer.height, block.height);
+        this._connect(block, ws);
+    }
+
+    // A downloaded block, and any held back waiting for it
+    _connect(block, ws) {
+        // Arrived ahead of its parent — hold it until the parent connects
+        const parent = this.blockchain.blockIndex.get(block.previousHash);
+        if (parent?.status === 'header') {
+            this.waiting.set(block.previousHash, { block, ws });
+        } else {
+            this.acceptBlock(block, ws);
+            for (let next = this.waiting.get(block.hash); next; next = this.waiting.get(next.block.hash)) {
+                this.waiting.delete(next.block.previousHash);
+                this.acceptBlock(next.block, next.ws);
+            }
+        }
+        this._requestBlocks();
+    }
+
+    // A new block as header + short ids: rebuilt from our mempool if we
+    // can, else we ask the sender for just the transactions we lack
+    _onCompactBlock(ws, data) {
+        let filled;
+        try {
+            filled = fillCompactBlock(data, this.blockchain.mempool);
+        } catch (e) {
+            this.log(`❌ Rejected compact block: malformed (${e.message})`);
+            return this.misbehaving(ws, 'malformed-message', `compact block: ${e.message}`);
+        }
+        const { header, txs, missing } = filled;
+        const peer = this.peers.get(ws);
+        const known = this.blockchain.blockIndex.get(header.hash);
+        if (known && known.status !== 'header') {
+            peer.height = Math.max(peer.height, known.height);
+            return;
+        }
+        const result = this.blockchain.addHeader(header);
+        if (!result.valid) {
+            // It can't know what we're missing — get the headers in between
+            if (result.orphan) return this.requestHeaders(ws);
+            this.log(`❌ Rejected header #${header.height}: ${result.reason}`);
+            if (result.future) return;
+            return this.misbehaving(ws, result.reason === 'invalid PoW' ? 'invalid-pow' : 'invalid-header', result.reason);
+        }
+        peer.height = Math.max(peer.height, header.height);
+        this._updateQueue();
+        // Behind its parent, or already on its way: a plain download
+        if (this.blockchain.blockIndex.get(header.previousHash).status === 'header' || this.inFlight.has(header.hash)) {
+            return this._requestBlocks();
+        }
+
+        this.compactStats.received++;
+        if (!missing.length) {
+            this.compactStats.fromMempool++;
+            return this._completeCompact(ws, header, txs);
+        }
+        this.log(`🧩 Compact block #${header.height}: ${txs.length - missing.length}/${txs.length} txs from mempool, requesting ${missing.length}`);
+        this.compactStats.txsRequested += missing.length;
+        this.partial.set(header.hash, { header, txs, missing, ws });
+        this._markRequested(ws, header.hash);
+        this.send(ws, SYNC_MSG.GET_BLOCK_TXN, { hash: header.hash, indexes: missing });
+    }
+
+    _onGetBlockTxn(ws, data) {
+        if (typeof data?.hash !== 'string' || !Array.isArray(data.indexes)) {
+            return this.misbehaving(ws, 'malformed-message', 'GET_BLOCK_TXN without hash or indexes');
+        }
+        const block = this.blockchain.getBlock(data.hash);
+        if (!block) return this.send(ws, SYNC_MSG.NOT_FOUND, { type: 'block', hashes: [data.hash] });
+        if (data.indexes.some(i => !Number.isInteger(i) || i < 0 || i >= block.transactions.length)) {
+            return this.misbehaving(ws, 'malformed-message', 'GET_BLOCK_TXN index out of range');
+        }
+        this.send(ws, SYNC_MSG.BLOCK_TXN, { hash: block.hash, txs: data.indexes.map(i => block.transactions[i].toHex()) });
+    }
+
+    _onBlockTxn(ws, data) {
+        const peer = this.peers.get(ws);
+        const partial = this.partial.get(data?.hash);
+        if (!partial || partial.ws !== ws) {
+            // Too late — the request timed out and went to another peer
+            if (peer.requested.delete(data?.hash)) return;
+            return this.misbehaving(ws, 'unsolicited-block', 'BLOCK_TXN');
+        }
+        this.partial.delete(data.hash);
+        peer.requested.delete(data.hash);
+        if (peer.blocks.delete(data.hash)) this.inFlight.delete(data.hash);
+        try {
+            if (!Array.isArray(data.txs) || data.txs.length !== partial.missing.length) {
+                throw new Error(`${partial.missing.length} txs asked for`);
+            }
+            data.txs.forEach((hex, i) => { partial.txs[partial.missing[i]] = Transaction.fromHex(hex); });
+        } catch (e) {
+            this.misbehaving(ws, 'malformed-message', `BLOCK_TXN: ${e.message}`);
+            return this._requestBlocks();
+        }
+        this._completeCompact(ws, partial.header, partial.txs);
+    }
+
+    _completeCompact(ws, header, txs) {
+        const block = buildBlock(header, txs);
+        if (!block) {
+            // A short id matched the wrong pooled tx — fetch the whole block
+            this.compactStats.fallbacks++;
+            this.log(`🧩 Compact block #${header.height} didn't match its merkle root, fetching it whole`);
+            this._markRequested(ws, header.hash);
+            return this.send(ws, SYNC_MSG.GET_DATA, { type: 'block', hashes: [header.hash] });
+        }
+        this._connect(block, ws);
+    }
+
+    // Asked `ws` for this block, so it isn't asked of anyone else (until timeout)
+    _markRequested(ws, hash) {
+        const peer = this.peers.get(ws);
+        peer.blocks.add(hash);
+        peer.requested.add(hash);
+        this.inFlight.set(hash, { ws, time: Date.now() });
+    }
+
+    _onTx(ws, hex) {
+        let tx;
+        try {
+            tx = Transaction.fromHex(hex);
+        } catch (e) {
+            this.log(`❌ TX rejected: malformed (${e.message})`);
+            return this.misbehaving(ws, 'malformed-message', `tx: ${e.message}`);
+        }
+        // A reply that comes after the request timed out is slow, not unasked
+        if (!this.txRequests.delete(tx.hash) && !this.expiredTxRequests.has(tx.hash)) {
+            return this.misbehaving(ws, 'unsolicited-tx', tx.hash.substring(0, 16));
+        }
+        if (this.blockchain.mempool.has(tx.hash)) return;
+        try {
+            const { replaced } = this.blockchain.addToMempool(tx);
+            this.log(`📨 TX received: ${tx.hash.substring(0, 16)}...${replaced.length ? ` (replaces ${replaced.length})` : ''}`);
+            this.announceTx(tx, ws);
+        } catch (e) {
+            this.log(`❌ TX rejected: ${e.message}`);
+            // Missing inputs, low fees or a full pool can be honest; a bad
+            // signature can't
+            if (/invalid signature|does not own|coinbase outside/.test(e.message)) this.misbehaving(ws, 'invalid-tx', e.message);
+        }
+    }
+
+    _announce(type, hash, exclude) {
+        for (const ws of this.peers.keys()) {
+            if (ws !== exclude) this.send(ws, SYNC_MSG.INV, { type, hashes: [hash] });
+        }
+    }
+
+    // Blocks from our best header back to the first one we have the body of
+    _updateQueue() {
+        const index = this.blockchain.blockIndex;
+        const missing = [];
+        for (let entry = this.blockchain.getBestHeader(); entry?.status === 'header'; entry = index.get(entry.previousHash)) {
+            missing.push(entry.hash);
+        }
+        this.queue = missing.reverse();
+        // Downloaded blocks off the best chain won't be connected
+        const wanted = new Set(this.queue);
+        for (const [prev, { block }] of this.waiting) {
+            if (!wanted.has(block.hash)) this.waiting.delete(prev);
+        }
+    }
+
+    // Spread requests for the next queued blocks over peers that have them
+    _requestBlocks() {
+        const index = this.blockchain.blockIndex;
+        while (this.queue.length && index.get(this.queue[0])?.status !== 'header') this.queue.shift();
+        const requests = new Map(); // ws → hashes
+        for (const hash of this.queue.slice(0, DOWNLOAD_WINDOW)) {
+            const entry = index.get(hash);
+            if (!entry || entry.status !== 'header') continue;
+            if (this.inFlight.has(hash) || this.waiting.get(entry.previousHash)?.block.hash === hash) continue;
+            const ws = this._pickPeer(entry);
+            if (!ws) continue;
+            this._markRequested(ws, hash);
+            if (!requests.has(ws)) requests.set(ws, []);
+            requests.get(ws).push(hash);
+        }
+        for (const [ws, hashes] of requests) this.send(ws, SYNC_MSG.GET_DATA, { type: 'block', hashes });
+    }
+
+    // The least busy peer whose chain reaches `entry` and that still has
+    // its body (pruned peers keep only recent blocks)
+    _pickPeer(entry) {
+        let best = null;
+        let bestLoad = BLOCKS_PER_PEER;
+        for (const [ws, peer] of this.peers) {
+            if (peer.height < entry.height || entry.height < peer.prunedHeight || peer.unavailable.has(entry.hash)) continue;
+            if (peer.blocks.size < bestLoad) {
+                best = ws;
+                bestLoad = peer.blocks.size;
+            }
+        }
+        return best;
+    }
+
+    // Stalled block requests go back in the queue for another peer; stalled
+    // tx requests may be made again
+    _checkTimeouts() {
+        const now = Date.now();
+        let expired = 0;
+        for (const [hash, { ws, time }] of this.inFlight) {
+            if (now - time < BLOCK_TIMEOUT) continue;
+            this.inFlight.delete(hash);
+            this.partial.delete(hash);
+            this.peers.get(ws)?.blocks.delete(hash);
+            expired++;
+        }
+        for (const [hash, time] of this.txRequests) {
+            if (now - time < TX_TIMEOUT) continue;
+            this.txRequests.delete(hash);
+            this.expiredTxRequests.set(hash, now);
+        }
+        for (const [hash, time] of this.expiredTxRequests) {
+            if (now - time >= TX_GRACE) this.expiredTxRequests.delete(hash);
+        }
+        if (expired) {
+            this.log(`⏱️  ${expired} block request(s) timed out, asking other peers`);
+            this._requestBlocks();
+        }
+    }
+}
+
+module.exports = { SyncManager, SYNC_MSG, MAX_MESSAGE_SIZE };
@@ -0,0 +1,109 @@
+/**
+ * FlowPay Coin (FPC) — Transaction Index Store
+ *
+ * Keeps a TxIndex (blockchain.js) across restarts, the way ChainState
+ * keeps the UTXO set: a snapshot (txindex.json) of the whole index as of
+ * some block, and a log (txindex.log) of every change since — a block's
+ * delta connected or disconnected, one JSON line each, fsync'd. On start
+ * the snapshot is loaded and the log replayed over it. Every few blocks
+ * the snapshot is rewritten and the log emptied. A 'reset' (the index
+ * being rebuilt) deletes both.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FLUSH_INTERVAL = 100;        // log entries between snapshots
+
+class TxIndexStore {
+    constructor(dir) {
+        this.dir = dir;
+        this.snapshotPath = path.join(dir, 'txindex.json');
+        this.logPath = path.join(dir, 'txindex.log');
+        this.logFd = null;
+        this.logged = 0;            // entries in txindex.log
+        this.index = null;          // the TxIndex being kept
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    }
+
+    // Load the snapshot and replay the log into `index`, then log its
+    // changes from here on
+    load(index) {
+        if (fs.existsSync(this.snapshotPath)) {
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+            index.best = snapshot.best;
+            index.txs = new Map(snapshot.txs);
+            index.history = new Map(snapshot.history);
+            index.balances = new Map(snapshot.balances);
+            index.utxos = new Map(snapshot.utxos.map(([address, keys]) => [address, new Set(keys)]));
+        }
+        if (fs.existsSync(this.logPath)) {
+            const text = fs.readFileSync(this.logPath, 'utf8');
+            const lines = text.split('\n');
+            lines.pop(); // whatever follows the last newline is a torn write
+            let good = 0;
+            for (const line of lines) {
+                let entry;
+                try {
+                    entry = JSON.parse(line);
+                } catch (e) {
+                    break;
+                }
+                good += Buffer.byteLength(line) + 1;
+                const { op, ...delta } = entry;
+                if (op === 'connect') index.apply(delta);
+                else index.revert(delta);
+                this.logged++;
+            }
+            if (good < Buffer.byteLength(text)) fs.truncateSync(this.logPath, good);
+        }
+        this.index = index;
+        this.logFd = fs.openSync(this.logPath, 'a');
+        index.onChange = (op, delta) => this._append(op, delta);
+        return index;
+    }
+
+    // Write a fresh snapshot of the index and empty the log. The log goes
+    // first: a crash before the new snapshot is in place leaves the old
+    // one, an earlier index the blockchain catches up from.
+    flush() {
+        const index = this.index;
+        fs.ftruncateSync(this.logFd, 0);
+        const snapshot = {
+            best: index.best,
+            txs: [...index.txs],
+            history: [...index.history],
+            balances: [...index.balances],
+            utxos: [...index.utxos].map(([address, keys]) => [address, [...keys]])
+        };
+        const tmp = this.snapshotPath + '.tmp';
+        const fd = fs.openSync(tmp, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(snapshot));
+            fs.fsyncSync(fd);
+        } finally {
+            fs.closeSync(fd);
+        }
+        fs.renameSync(tmp, this.snapshotPath);
+        this.logged = 0;
+    }
+
+    close() {
+        if (this.logFd !== null) fs.closeSync(this.logFd);
+        this.logFd = null;
+    }
+
+    _append(op, delta) {
+        if (op === 'reset') {
+            fs.ftruncateSync(this.logFd, 0);
+            if (fs.existsSync(this.snapshotPath)) fs.unlinkSync(this.snapshotPath);
+            this.logged = 0;
+            return;
+        }
+        fs.writeSync(this.logFd, JSON.stringify({ op, ...delta }) + '\n');
+        fs.fsyncSync(this.logFd);
+        if (++this.logged >= FLUSH_INTERVAL) this.flush();
+    }
+}
+
+module.exports = { TxIndexStore };
@@ -0,0 +1,45 @@
+/**
+ * Difficulty retargeting (getNextBits): a window mined exactly on
+ * schedule keeps its target; one mined twice as fast halves it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+    Blockchain, generatePrivateKey, derivePublicKey, deriveAddress,
+    TARGET_BLOCK_TIME, RETARGET_INTERVAL
+} = require('../blockchain.js');
+
+const POW_LIMIT = 0x207fffff; // near-zero work, so blocks mine instantly
+
+// A chain of RETARGET_INTERVAL blocks, `spacing` ms apart on a fake clock
+function mineWindow(spacing) {
+    const realNow = Date.now;
+    let now = realNow();
+    Date.now = () => now;
+    try {
+        const blockchain = new Blockchain(POW_LIMIT, true);
+        const address = deriveAddress(derivePublicKey(generatePrivateKey()));
+        blockchain.initialize(address);
+        while (blockchain.chain.length < RETARGET_INTERVAL) {
+            now += spacing;
+            blockchain.mineBlock(address);
+        }
+        return blockchain;
+    } finally {
+        Date.now = realNow;
+    }
+}
+
+test('a window of blocks exactly TARGET_BLOCK_TIME apart keeps the same bits', () => {
+    const blockchain = mineWindow(TARGET_BLOCK_TIME);
+    const tip = blockchain.getTip();
+    assert.strictEqual(tip.height, RETARGET_INTERVAL - 1);
+    assert.strictEqual(blockchain.getNextBits(tip), tip.bits);
+});
+
+test('a window mined twice as fast halves the target', () => {
+    const blockchain = mineWindow(TARGET_BLOCK_TIME / 2);
+    const tip = blockchain.getTip();
+    assert.strictEqual(blockchain.getNextBits(tip), 0x203fffff);
+});